@@ -143,6 +143,18 @@ module.exports = function(grunt) {
 
   grunt.registerTask('test', ['jshint:dev', 'jshint:tests', 'mochaTest:all']);
 
+  // Starts a mock CSync server on CSYNC_PORT (or the configured port) for the rest of the run
+  grunt.registerTask('mockServer', function() {
+    var done = this.async();
+    var MockServer = require('./lib/mockserver');
+    var port = process.env.CSYNC_PORT || require('config').CSYNC_PORT;
+    new MockServer({ port: Number(port) }).listen(function(error) {
+      done(!error);
+    });
+  });
+
+  grunt.registerTask('testOffline', ['jshint:dev', 'jshint:tests', 'mockServer', 'mochaTest:all']);
+
   grunt.registerTask('coverage', ['mocha_istanbul:coverage']);
 
   grunt.registerTask('karmaTest', ['browserify:dist', 'karma:Chrome']);
@@ -33,11 +33,15 @@
  An ACL specifies the set of users to be granted Read, Write anc Create access to the key.
  CSync provides eight "static" ACLs that can be used to provide any combination of
  Read, Write, and Create access to just the key's creator or all users.
+ ACLs that grant access to specific users are created with App.createAcl.
 
+ @param {string} id - the identifier of the ACL
+ @param grants - [Optional] for an ACL created with App.createAcl, a JSON object with attributes
+                 read, write and create, each an array of the uids of the users granted that access
  */
-function Acl(id) {
+function Acl(id, grants) {
     if (!(this instanceof Acl)) {
-        return new Acl(id);
+        return new Acl(id, grants);
     }
 
     /**
@@ -47,6 +51,30 @@ function Acl(id) {
      @name id
      */
     this.id = id;
+
+    /**
+     @property {Array} read The uids of the users granted read access, when known (read-only).
+     @memberof Acl
+     @instance
+     @name read
+     */
+    /**
+     @property {Array} write The uids of the users granted write access, when known (read-only).
+     @memberof Acl
+     @instance
+     @name write
+     */
+    /**
+     @property {Array} create The uids of the users granted create access, when known (read-only).
+     @memberof Acl
+     @instance
+     @name create
+     */
+    if (grants !== undefined) {
+        this.read = grants.read || [];
+        this.write = grants.write || [];
+        this.create = grants.create || [];
+    }
 }
 
 exports = module.exports = Acl;
@@ -15,19 +15,33 @@
  */
 'use strict';
 
+/* global BroadcastChannel */
+
 var _ = require('lodash');
+var EventEmitter = require('events').EventEmitter;
 var when = require('when');
 
+var Acl = require('./acl');
 var constants = require('./constants');
+var errors = require('./errors');
 var Key = require('./key');
 var Operation = require('./operation');
+var Query = require('./query');
+var Scheduler = require('./scheduler');
+var SharedTransport = require('./shared');
+var storage = require('./storage');
 var Transport = require('./transport');
+var Value = require('./value');
 
 // dev setup
-var logger  = require('./logger')('facade');
+var logging = require('./logger');
+var metrics = require('./metrics');
+var logger  = logging('facade');
 logger.enableDebug = (process.env.DEBUG || process.env.DEBUG_FACADE) ? true : false;
 logger.enableWarning = (process.env.DEBUG || process.env.DEBUG_FACADE) ? true : false;
 
+// Longest delay setTimeout supports, about 24.8 days; longer delays fire at once
+var MAX_TIMER_DELAY = 2147483647;
 
 /**
  @class AuthData
@@ -55,6 +69,38 @@ logger.enableWarning = (process.env.DEBUG || process.env.DEBUG_FACADE) ? true :
 
  @param options - A JSON object with attribute host as a string(required),
                    port as a number (required), and token as a string (optional).
+                   The optional attribute transport replaces the WebSocket connection to host and
+                   port with another transport (see Transport), such as the transport of a
+                   LoopbackServer (see the Loopback module), in which case host and port are not required.
+                   The optional attribute reconnect controls how a dropped connection is
+                   reestablished: an object with initialDelay and maxDelay (millis), multiplier
+                   and jitter (a fraction of each delay), or false to disable reconnecting.
+                   The optional attribute storage is the adapter used to persist the local cache
+                   (see the Storage module); by default the cache is kept in memory.
+                   The optional attribute advance controls how often listened key patterns are
+                   synchronized with the service: an object with minDelay, the delay while changes
+                   are flowing, maxDelay, the delay when idle (millis), and multiplier, the growth
+                   of the delay after each synchronization that finds no changes.
+                   The optional attribute retry controls how requests that receive no response
+                   are resent: an object with timeout, the time to wait for a response (millis),
+                   maxRetries, the number of times to resend before failing with error code Timeout
+                   (unlimited by default), and backoff, the growth factor of the timeout after each
+                   resend.  The same attributes may be given in the options of individual calls.
+                   The optional attribute tokenProvider is a function that is called with an auth
+                   provider and returns a fresh token for it, or a promise for one (see authenticate).
+                   It is called tokenRefreshMargin millis (default 60000) before the token expires.
+                   The optional attribute shareSession, true or an object with name, heartbeat and
+                   timeout (millis), shares one connection between the Apps of the browser tabs of the
+                   same origin that set it with the same name: one of them is elected to connect, and the
+                   others send their requests through it.  It requires BroadcastChannel.
+                   The optional attribute logger receives the log records of the SDK, in place of the
+                   console: a function called with each record, or an object with methods debug, info, warn
+                   and error, such as a pino or winston logger.  A record has attributes channel, level and
+                   message, and kind, closure and key for an operation.  The optional attribute logLevel is
+                   the least severe level logged: trace, debug, info, warning or error, or silent.  Both apply
+                   only to this App; other messages use those of the CSync module (see setLogger and setLogLevel).
+                   The optional attribute metrics is an object with methods increment, observe and gauge,
+                   to which the App reports metrics of its requests and connection (see the Metrics module).
 
  @return {Object} A new CSync application instance
  */
@@ -63,11 +109,13 @@ function App(options) {
         return new App(options);
     }
 
-    if (options.host === undefined || options.port === undefined) {
-        var err = new Error('host and port are required to connect');
-        err.code = constants.InvalidRequest;
-        throw err;
+    if (options.transport === undefined && (options.host === undefined || options.port === undefined)) {
+        throw new errors.CSyncError('host and port are required to connect', constants.InvalidRequest);
+    }
+    if (options.logLevel !== undefined) {
+        logging.checkLevel(options.logLevel);
     }
+
     /**
      @property {string} sdkVersion The CSync SDK version (read-only)
      @memberof App
@@ -105,6 +153,9 @@ function App(options) {
 
     this.authData = null;
 
+    // The uid of the last user authenticated, whose values are in the cache
+    this.cacheOwner = null;
+
     this.acls = null;
 
     this.lastCts = 0;
@@ -116,15 +167,59 @@ function App(options) {
     // Array of key objects with active listeners
     this.listeners = [];
 
-    // Map from acl+key to boolean indicating if advance job is scheduled
-    this.advanceScheduled = {};
+    // Function that returns a fresh token for an auth provider, and how long before expiry it is called
+    this.tokenProvider = options.tokenProvider || null;
+    this.tokenRefreshMargin = (options.tokenRefreshMargin !== undefined) ? options.tokenRefreshMargin : 60*1000;
+    this.tokenRefreshTimer = null;
+    this.tokenRefreshing = false;
+
+    // Policy for resending requests that receive no response, which may be overridden per call
+    this.retryPolicy = _.defaults({}, options.retry, Operation.RETRY_DEFAULTS);
+
+    // Logger and level of the log records about this App, in place of those of the CSync module
+    this.logger = options.logger || null;
+    this.logLevel = options.logLevel || null;
+
+    // Metrics collected for stats, and reported to the hooks in the metrics option
+    this.memoryMetrics = new metrics.MemoryMetrics();
+    this.metrics = (options.metrics !== undefined) ? metrics.combine([this.memoryMetrics, options.metrics], this) : this.memoryMetrics;
+
+    // Schedules the advance jobs for key patterns with listeners
+    this.scheduler = new Scheduler(this, options.advance);
 
     this.rvtsDict = {};   // Map from aclid+key to rvts
 
     this.memoryDB = {};   // Map from (concrete) keystring to data
     this.vtsIndex = {};   // Map from vts to keystring (concrete)
 
-    this.transport = new Transport(this, this.host, this.port);
+    this.localWrites = {};   // Map from (concrete) keystring to unstable value of latest pending write
+
+    this.storedWrites = [];   // Writes persisted by a previous instance of the app, held until a user authenticates
+
+    // Adapter that persists memoryDB and rvtsDict, and a promise fulfilled once they are loaded from it
+    this.storage = options.storage || new storage.MemoryStorage();
+    this.cacheReady = this.loadCache();
+
+    /**
+     @property {string} connectionState The state of the connection to the CSync service (read-only).
+                        One of 'disconnected', 'connecting', 'connected' or 'reconnecting'.
+     @memberof App
+     @instance
+     @name connectionState
+     */
+    this.connectionState = 'disconnected';
+
+    // Emitter for the events published by on
+    this.events = new EventEmitter();
+
+    if (options.transport !== undefined) {
+        this.transport = options.transport;
+        this.transport.app = this;
+    } else if (options.shareSession && typeof BroadcastChannel !== 'undefined') {
+        this.transport = new SharedTransport(this, this.host, this.port, options);
+    } else {
+        this.transport = new Transport(this, this.host, this.port, options);
+    }
     this.transport.token = options.token || null;
     if (options.useSSL === false) {
         this.transport.useSSL = false;
@@ -137,33 +232,75 @@ module.exports = App;
  @description Authenticate to the CSync service with an OAuth token from a provider.
  @memberof App
 
+ When the App has a tokenProvider, the token may be omitted and is then obtained from the
+ tokenProvider.  The tokenProvider is also called for a fresh token shortly before the token
+ expires, or when the service rejects it, and the session is then reestablished with the fresh token.
+
  @param {string} oauthProvider    The provider, all lower case with no spaces.
  @param {string} token            The OAuth Token to authenticate with the provider.
+ @param options                   [Optional] May contain signal, an AbortSignal that cancels the
+                                  authentication and closes the connection being opened for it.
 
  @return A promise that is fulfilled when the server has authenicated the user.
  */
-App.prototype.authenticate = function(oauthProvider, token) {
+App.prototype.authenticate = function(oauthProvider, token, options) {
+
+    var self = this;  // capture this for use in closures
+
+    if (token === undefined && this.tokenProvider !== null) {
+        return when.try(this.tokenProvider, oauthProvider).then(function(token) {
+            return self.authenticate(oauthProvider, token, options);
+        });
+    }
 
     var deferred = when.defer();
 
+    var signal = (options && options.signal) || null;
+    if (signal !== null && signal.aborted) {
+        deferred.reject(Operation.abortError("Authentication was aborted"));
+        return deferred.promise;
+    }
+
     this.transport.authProvider = oauthProvider || null;
     this.transport.token = token || null;
 
-    var self = this;  // capture this for use in closures
+    var pending = true;
 
-    this.transport.startSession(function (error, sessionInfo) {
+    function sessionStarted(error, sessionInfo) {
+        if (!pending) {
+            return;
+        }
+        pending = false;
+        if (signal !== null) {
+            signal.removeEventListener('abort', abort);
+        }
         if (error) {
             deferred.reject(error);
         } else {
-            self.authData = Object.freeze({
+            self.setAuthData(Object.freeze({
                 uid: sessionInfo.uid,
                 provider: oauthProvider,
                 token: token,
                 expires: sessionInfo.expires
-            });
+            }));
             deferred.resolve(self.authData);
         }
-    });
+    }
+
+    function abort() {
+        signal.removeEventListener('abort', abort);
+        if (pending) {
+            pending = false;
+            self.transport.endSession();
+            deferred.reject(Operation.abortError("Authentication was aborted"));
+        }
+    }
+
+    if (signal !== null) {
+        signal.addEventListener('abort', abort);
+    }
+
+    this.transport.startSession(sessionStarted);
 
     return deferred.promise;
 };
@@ -182,7 +319,11 @@ App.prototype.unauth = function() {
 
         this.transport.token = null;
         this.acls = null;
-        this.authData = null;
+        this.setAuthData(null);
+
+        // Nothing cached or persisted for this user is kept for the next one
+        this.cacheOwner = null;
+        this.clearCache();
 
         this.transport.endSession();
 
@@ -192,6 +333,206 @@ App.prototype.unauth = function() {
     return deferred.promise;
 };
 
+/**
+ @description Closes this CSync App once its pending operations are done: its listeners are removed,
+ its session ended and its connection released.  With shareSession, the App also leaves the Apps sharing
+ the connection, passing the connection to another of them if it held it.  The App cannot be used afterwards.
+ @memberof App
+ */
+App.prototype.close = function() {
+
+    var deferred = when.defer();
+
+    this.removeAllListeners();
+
+    this.drainOperationQueue(function (error) {
+
+        if (this.tokenRefreshTimer !== null) {
+            clearTimeout(this.tokenRefreshTimer);
+            this.tokenRefreshTimer = null;
+        }
+
+        // A transport that holds nothing beyond its session need not have close
+        if (this.transport.close !== undefined) {
+            this.transport.close();
+        } else {
+            this.transport.endSession();
+        }
+
+        deferred.resolve("ok");
+    });
+
+    return deferred.promise;
+};
+
+/**
+ @description Returns the metrics collected by the App (see the Metrics module), such as the number
+              of requests sent and their latency by kind, the depth of the operation queue and the
+              number of reconnects.
+ @memberof App
+
+ @return An object with attributes counters, gauges and histograms (see the snapshot method of MemoryMetrics).
+ */
+App.prototype.stats = function() {
+
+    return this.memoryMetrics.snapshot();
+};
+
+/**
+ @description Retrieve the access control lists available to the authenticated user.
+ @memberof App
+
+ @param options [Optional] The retry policy for the request (see the retry option of App),
+                and signal, an AbortSignal that cancels the request.
+
+ @return A promise that is fulfilled with an array of Acl objects.
+ */
+App.prototype.getAcls = function(options) {
+
+    var deferred = when.defer();
+
+    var self = this;  // capture this for use in closures
+
+    var op = Operation.getAcls(this).configure(options);
+    op.callback = function(error) {
+        if (error) {
+            deferred.reject(error);
+        } else {
+            deferred.resolve(_.map(self.acls, function(id) { return new Acl(id); }));
+        }
+    };
+
+    this.addOperation(op);
+
+    return deferred.promise;
+};
+
+/**
+ @description Create an access control list that grants specific users access to the keys it is assigned to.
+ @memberof App
+
+ The ACL is assigned to keys like the static ACLs, with the acl option of write or with setAcl.
+ Only the user who created the ACL may update or delete it.  The CSync service does not accept the
+ requests that manage ACLs, so this requires a server that does, such as the LoopbackServer.
+
+ @param {string} id    The identifier of the new ACL, of alphanumeric characters, "_" and "-".
+ @param grants         A JSON object with attributes read, write and create, each an array of the uids
+                       of the users granted that access.  Omitted attributes grant no user that access.
+ @param options        [Optional] The retry policy for the request (see the retry option of App),
+                       and signal, an AbortSignal that cancels the request.
+
+ @return A promise that is fulfilled with the new Acl.
+ */
+App.prototype.createAcl = function(id, grants, options) {
+
+    return this.changeAcl('createAcl', id, grants, options);
+};
+
+/**
+ @description Replace the users granted access by an ACL created with createAcl.
+ @memberof App
+
+ @param acl            The Acl, or its identifier.
+ @param grants         A JSON object with attributes read, write and create, each an array of the uids
+                       of the users granted that access.  Omitted attributes grant no user that access.
+ @param options        [Optional] The retry policy for the request (see the retry option of App),
+                       and signal, an AbortSignal that cancels the request.
+
+ @return A promise that is fulfilled with the updated Acl.
+ */
+App.prototype.updateAcl = function(acl, grants, options) {
+
+    return this.changeAcl('updateAcl', _.isString(acl) ? acl : acl && acl.id, grants, options);
+};
+
+/**
+ @description Delete an ACL created with createAcl.  Keys assigned the ACL are then accessible only to their creator.
+ @memberof App
+
+ @param acl            The Acl, or its identifier.
+ @param options        [Optional] The retry policy for the request (see the retry option of App),
+                       and signal, an AbortSignal that cancels the request.
+
+ @return A promise that is fulfilled when the service has deleted the ACL.
+ */
+App.prototype.deleteAcl = function(acl, options) {
+
+    return this.changeAcl('deleteAcl', _.isString(acl) ? acl : acl && acl.id, {}, options).then(function() {
+        return "ok";
+    });
+};
+
+/* Sends a createAcl, updateAcl or deleteAcl request, and returns a promise for the resulting Acl */
+App.prototype.changeAcl = function(kind, id, grants, options) {
+
+    var valid = _.isString(id) && /^[A-Za-z0-9_\-]+$/.test(id) && _.isObject(grants) &&
+        _.every(['read', 'write', 'create'], function(access) {
+            return grants[access] === undefined || (_.isArray(grants[access]) && _.every(grants[access], _.isString));
+        });
+    if (!valid) {
+        return when.reject(new errors.CSyncError("An ACL id and arrays of uids are required to " + kind + ".",
+                                                 constants.InvalidRequest, { kind: kind }));
+    }
+    if (!this.supports('aclManagement')) {
+        return when.reject(new errors.CSyncError("The CSync service does not accept " + kind + " requests.",
+                                                 constants.InvalidRequest, { kind: kind }));
+    }
+
+    var deferred = when.defer();
+
+    var op = Operation.changeAcl(this, kind, id, grants).configure(options);
+    op.callback = function(error) {
+        if (error) {
+            deferred.reject(error);
+        } else {
+            deferred.resolve(new Acl(id, grants));
+        }
+    };
+
+    this.addOperation(op);
+
+    return deferred.promise;
+};
+
+/**
+ @description Register a handler for an App event.
+ @memberof App
+
+ The following events are supported:
+
+ - 'connectionState': the state of the connection to the CSync service has changed.
+   The handler receives the new state ('disconnected', 'connecting', 'connected' or
+   'reconnecting') and, when the change was caused by a connection error, the error.
+ - 'authStateChanged': the user has been authenticated, the token has been refreshed or the
+   user has been unauthenticated.  The handler receives the new authData, or null, and, when
+   a token could not be refreshed, the error.
+
+ @param {string} event      The name of the event.
+ @param {function} handler  The function to call when the event occurs.
+
+ @return The App, so calls can be chained.
+ */
+App.prototype.on = function(event, handler) {
+
+    this.events.on(event, handler);
+    return this;
+};
+
+/**
+ @description Remove a handler registered with on.
+ @memberof App
+
+ @param {string} event      The name of the event.
+ @param {function} handler  The handler to remove.
+
+ @return The App, so calls can be chained.
+ */
+App.prototype.off = function(event, handler) {
+
+    this.events.removeListener(event, handler);
+    return this;
+};
+
 /**
  @description Create a Key for an entry in the CSync service.
  @memberof App
@@ -205,6 +546,20 @@ App.prototype.key = function(key) {
     return new Key(this, key);
 };
 
+/**
+ @description Create a Query over the values of the keys matching a key pattern, which may be
+              filtered, ordered and limited (see Query).
+ @memberof App
+
+ @param {string | array} pattern  The key pattern, as for key.
+
+ @return A Query for the key pattern.
+ */
+App.prototype.query = function(pattern) {
+
+    return new Query(this, pattern);
+};
+
 // MARK: - Internal methods
 
 App.prototype.nextCts = function() {
@@ -213,13 +568,38 @@ App.prototype.nextCts = function() {
     return this.lastCts;
 };
 
+/* Returns true if the transport accepts the requests of the named feature (see Transport) */
+App.prototype.supports = function(feature) {
+
+    return _.get(this.transport, ['features', feature]) === true;
+};
+
 App.prototype.addOperation = function(op) {
 
     if (this.queueDraining) {
         throw new Error('request for new operation when queue is draining');
     }
 
+    // An operation whose signal was aborted before it was added is never queued
+    if (op.signal !== null && op.signal.aborted) {
+        op.error = Operation.abortError(op.toString() + " was aborted");
+        if (op.callback !== null) {
+            op.callback(op.error);
+        }
+        return;
+    }
+
     this.operationQueue.push(op);
+    this.metrics.gauge('queue.depth', this.operationQueue.length);
+    op.watchSignal();
+
+    // Persist pubs so they can be replayed if the app restarts before the server responds,
+    // with the user that made them so they are only replayed for that user
+    if (op.kind === 'pub') {
+        var record = op.record();
+        record.uid = (this.authData !== null) ? this.authData.uid : null;
+        this.storage.addWrite(op.cts, record, storageErrorLogger(this));
+    }
 
     // Check for conflicting ops before starting
     var next = _.find(this.operationQueue, op.query());
@@ -231,6 +611,11 @@ App.prototype.addOperation = function(op) {
 App.prototype.removeOperation = function(op) {
 
     _.pull(this.operationQueue, op);
+    this.metrics.gauge('queue.depth', this.operationQueue.length);
+
+    if (op.kind === 'pub') {
+        this.storage.removeWrite(op.cts, storageErrorLogger(this));
+    }
 
     // Check for conflicting ops that can now be started
     var next = _.find(this.operationQueue, op.query());
@@ -255,9 +640,137 @@ App.prototype.drainOperationQueue = function(callback) {
     }
 };
 
+App.prototype.setConnectionState = function(state, error) {
+
+    if (state === this.connectionState) {
+        return;
+    }
+
+    logger.debug("Connection state changed from " + this.connectionState + " to " + state, { app: this });
+
+    this.connectionState = state;
+    this.metrics.increment('connection.state', 1, { state: state });
+    this.events.emit('connectionState', state, error || null);
+};
+
+App.prototype.setAuthData = function(authData, error) {
+
+    if (authData !== null) {
+        // The values and writes cached for another user are not kept for this one
+        if (this.cacheOwner !== authData.uid) {
+            if (this.cacheOwner !== null) {
+                this.clearCache();
+            }
+            this.cacheOwner = authData.uid;
+            this.storage.setOwner(authData.uid, storageErrorLogger(this));
+        }
+    }
+
+    this.authData = authData;
+    this.replayStoredWrites();
+    this.scheduleTokenRefresh();
+    this.events.emit('authStateChanged', authData, error || null);
+};
+
+/* Schedules the refresh of the token shortly before it expires, if the App has a tokenProvider */
+App.prototype.scheduleTokenRefresh = function() {
+
+    if (this.tokenRefreshTimer !== null) {
+        clearTimeout(this.tokenRefreshTimer);
+        this.tokenRefreshTimer = null;
+    }
+
+    if (this.tokenProvider === null || this.authData === null || !this.authData.expires) {
+        return;
+    }
+
+    var refreshAt = this.authData.expires*1000 - this.tokenRefreshMargin;
+    var delay = Math.max(0, refreshAt - Date.now());
+    logger.debug("Refreshing token in " + delay + " ms", { app: this });
+
+    var self = this;  // capture this for use in closures
+
+    // A token that lives longer than the timer can wait is refreshed after as many waits as it takes
+    this.tokenRefreshTimer = setTimeout(function() {
+        self.tokenRefreshTimer = null;
+        if (Date.now() < refreshAt) {
+            self.scheduleTokenRefresh();
+        } else {
+            self.refreshToken();
+        }
+    }, Math.min(delay, MAX_TIMER_DELAY));
+
+    // The pending refresh should not keep a Node process alive
+    if (this.tokenRefreshTimer.unref) {
+        this.tokenRefreshTimer.unref();
+    }
+};
+
+/* Obtains a fresh token from the tokenProvider and reestablishes the session with it */
+App.prototype.refreshToken = function() {
+
+    if (this.tokenProvider === null || this.authData === null || this.tokenRefreshing) {
+        return;
+    }
+    this.tokenRefreshing = true;
+
+    var self = this;  // capture this for use in closures
+    var authData = this.authData;
+
+    function done(error, sessionInfo, token) {
+        self.tokenRefreshing = false;
+        // The user may have been unauthenticated or reauthenticated in the meantime
+        if (self.authData !== authData) {
+            return;
+        }
+        if (error) {
+            logger.error("Token refresh failed: " + error, { app: self });
+            self.endRejectedSession(error);
+            return;
+        }
+        self.setAuthData(Object.freeze({
+            uid: sessionInfo.uid,
+            provider: authData.provider,
+            token: token,
+            expires: sessionInfo.expires
+        }));
+    }
+
+    when.try(this.tokenProvider, authData.provider).then(function(token) {
+        if (self.authData !== authData) {
+            return done(null);
+        }
+        self.transport.token = token;
+        self.transport.renewSession(function(error, sessionInfo) {
+            done(error, sessionInfo, token);
+        });
+    }, function(error) {
+        done(error);
+    });
+};
+
+/* Called by the transport when the service rejects the credentials of the session */
+App.prototype.handleAuthError = function(error) {
+    logger.debug("Credentials rejected: " + error, { app: this });
+
+    if (this.tokenProvider !== null) {
+        this.refreshToken();
+    } else if (this.authData !== null) {
+        this.endRejectedSession(error);
+    }
+};
+
+/* Ends a session whose credentials the service no longer accepts, so the transport stops reconnecting with them */
+App.prototype.endRejectedSession = function(error) {
+
+    this.transport.token = null;
+    this.transport.endSession();
+    this.setAuthData(null, error);
+};
+
 App.prototype.handleConnect = function() {
 
-    logger.debug("Entry to app.handleConnect");
+    logger.debug("Entry to app.handleConnect", { app: this });
 
     _.filter(this.operationQueue, 'started').forEach(function (op) {
         op.handleConnect();
@@ -274,29 +787,39 @@ App.prototype.addListener = function(keyObj) {
 
     this.listeners.push(keyObj);
 
-    // Clear latest vts map so all latest data is delivered to the new listener
-    keyObj.latest = {};
+    this.deliverCached(keyObj);
+
+    // Only schedule one sub per key pattern, regardless of
+    // how many listens are outstanding for this key pattern
+    if (newListener) {
+        var op = Operation.sub(keyObj);
+        this.addOperation(op);
+    }
+
+    this.startAdvance(keyObj);
+};
+
+/* Deliver the cached values matching keyObj to its listeners (or only the listener entry, if specified) */
+App.prototype.deliverCached = function(keyObj, entry) {
 
     for (var keyString in this.memoryDB) {
-        if (this.memoryDB.hasOwnProperty(keyString)) {
+        if (this.memoryDB.hasOwnProperty(keyString) && !this.localWrites.hasOwnProperty(keyString)) {
             if (keyObj.matches(keyString)) {
                 var value = this.memoryDB[keyString];
                 //Only return the value if it is not deleted
                 if (value.exists){
-                    keyObj.deliver(value);
+                    keyObj.deliver(value, false, entry);
                 }
             }
         }
     }
 
-    // Only schedule one sub per key pattern, regardless of
-    // how many listens are outstanding for this key pattern
-    if (newListener) {
-        var op = Operation.sub(keyObj);
-        this.addOperation(op);
-    }
-
-    this.startAdvance(keyObj);
+    // Pending local writes are delivered in place of the values they will replace
+    _.forEach(this.localWrites, function(value, keyString) {
+        if (keyObj.matches(keyString)) {
+            keyObj.deliver(value, false, entry);
+        }
+    });
 };
 
 App.prototype.removeListener = function(keyObj) {
@@ -306,6 +829,10 @@ App.prototype.removeListener = function(keyObj) {
     });
 
     if (!this.hasListener(keyObj.key)) {
+        if (!this.advances(keyObj.key)) {
+            this.scheduler.stop(keyObj);
+        }
+
         var op = Operation.sub(keyObj);
         op.unsub = true;
         this.addOperation(op);
@@ -316,46 +843,316 @@ App.prototype.removeAllListeners = function() {
 
     var self = this;
 
-    _.forEach(this.listeners, function(listener) {
+    // Iterate over a copy, since removeListener removes from this.listeners
+    _.forEach(this.listeners.slice(), function(listener) {
+        listener.listeners = [];
         self.removeListener(listener);
     });
 };
 
 App.prototype.hasListener = function(key) {
     var aListener = _.find(this.listeners, function(keyObj) {
-        return keyObj.key === key && keyObj.listener !== null;
+        return keyObj.key === key && keyObj.listeners.length > 0;
     });
     return aListener !== undefined;
 };
 
+/*
+ Returns true if this App polls the service for changes to the key pattern: by default if it listens to
+ the pattern, but a transport shared with other Apps decides which of them polls for whom (see Transport)
+ */
+App.prototype.advances = function(key) {
+
+    if (this.transport.advances !== undefined) {
+        return this.transport.advances(key);
+    }
+    return this.hasListener(key);
+};
+
 App.prototype.deliverToListeners = function(value) {
-    logger.debug("Entry to deliverToListeners for value "+JSON.stringify(value));
+    logger.debug("Entry to deliverToListeners for value "+JSON.stringify(value), { app: this });
+
+    if (!this.cacheValue(value)) {
+        return;
+    }
+    this.storage.setValue(value.key, value.record(), storageErrorLogger(this));
+
+    // A pending local write hides older values until the server has accepted or rejected it
+    var localValue = this.localWrites[value.key];
+    if (localValue !== undefined) {
+        if (value.cts < localValue.cts) {
+            return;
+        }
+        delete this.localWrites[value.key];
+    }
+
+    this.notifyListeners(value);
+};
+
+/* Update the memoryDB if this value is newer than the value it contains, returning true if it was updated */
+App.prototype.cacheValue = function(value) {
 
-    // Update the memoryDB if this value is newer than the value it contains
     var latestValue = this.memoryDB[value.key] || { vts: 0};
     if (value.vts <= latestValue.vts) {
-        return;
+        return false;
     }
     this.memoryDB[value.key] = value;
     this.vtsIndex[value.vts] = value.key;
+    return true;
+};
+
+App.prototype.notifyListeners = function(value, force) {
 
     _.forEach(this.listeners, function(listener) {
         if (listener.matches(value.key)) {
-            listener.deliver(value);
+            listener.deliver(value, force);
         }
     });
 };
 
-App.prototype.startAdvance = function(keyObj) {
-    logger.debug("Starting advance for "+keyObj.key);
+/*
+ Delivers the data of a pub to listeners as an unstable value, before the server has accepted it.
+ */
+App.prototype.applyLocalWrite = function(op) {
+
+    // A write to an existing entry keeps its creator and, unless it specifies one, its ACL
+    var current = this.memoryDB[op.keyObj.key];
+    var existing = current !== undefined && current.exists;
+
+    var value = new Value({
+        path: op.keyObj.components,
+        data: op.data,
+        acl: (op.aclid === undefined && existing) ? current.acl : op.aclid,
+        creator: existing ? current.creator : ((this.authData !== null) ? this.authData.uid : undefined),
+        cts: op.cts
+    }, false);
+
+    this.localWrites[value.key] = value;
+    this.notifyListeners(value);
+};
 
-    var self = this;
+/*
+ Called when the server has responded to a pub applied with applyLocalWrite.
+ If the pub was rejected, listeners are given back the value the write replaced, or a
+ value for a nonexistent entry if there was none.  An accepted pub is delivered with
+ the server's data for the key, so there is nothing more to do here.
+ */
+App.prototype.settleLocalWrite = function(op, error) {
+
+    var keyString = op.keyObj.key;
+    var localValue = this.localWrites[keyString];
+
+    // A later write for this key is still pending and remains in place
+    if (localValue === undefined || localValue.cts !== op.cts) {
+        return;
+    }
+    delete this.localWrites[keyString];
+
+    if (error) {
+        var value = this.memoryDB[keyString] || new Value({ path: op.keyObj.components, deletePath: true });
+        this.notifyListeners(value, true);
+    }
+};
+
+App.prototype.setRvts = function(aclKey, rvts) {
 
-    var aclKey = '*.' + keyObj.key;
-    var advanceAlreadyScheduled = self.advanceScheduled[aclKey] || false;
-    if (!advanceAlreadyScheduled) {
-        var op = Operation.advance(keyObj);
+    this.rvtsDict[aclKey] = rvts;
+    this.storage.setRvts(aclKey, rvts, storageErrorLogger(this));
+};
+
+/*
+ Loads the values and rvts persisted by the storage adapter into memoryDB and rvtsDict.
+ Returns a promise that is fulfilled when loading is complete, even if it failed.
+ */
+App.prototype.loadCache = function() {
+
+    var deferred = when.defer();
+
+    var self = this;  // capture this for use in closures
+
+    this.storage.load(function(error, state) {
+        if (error) {
+            logger.error("Error loading cache: " + error, { app: self });
+        }
+
+        var owner = _.get(state, 'owner') || null;
+
+        if (self.authData !== null && owner !== null && owner !== self.authData.uid) {
+            // The user who authenticated while the cache was loading does not get the cache of another
+            logger.debug("Discarding the cache of another user", { app: self });
+            self.storage.clear(storageErrorLogger(self));
+            self.storage.setOwner(self.authData.uid, storageErrorLogger(self));
+        } else if (state) {
+            if (self.authData === null) {
+                self.cacheOwner = owner;
+            } else if (owner === null) {
+                self.storage.setOwner(self.authData.uid, storageErrorLogger(self));
+            }
+
+            _.forEach(state.rvts, function(rvts, aclKey) {
+                self.rvtsDict[aclKey] = Math.max(self.rvtsDict[aclKey] || 0, rvts);
+            });
+
+            _.forEach(state.values, function(record) {
+                var value = new Value(record);
+                if (self.cacheValue(value) && value.exists) {
+                    self.notifyListeners(value);
+                }
+            });
+
+            // Writes made since the app started are already persisted and in the queue
+            _.forEach(state.writes, function(record) {
+                if (_.find(self.operationQueue, { kind: 'pub', cts: record.cts }) === undefined) {
+                    self.lastCts = Math.max(self.lastCts, record.cts);
+                    self.storedWrites.push(record);
+                }
+            });
+            self.replayStoredWrites();
+        }
+
+        deferred.resolve();
+    });
+
+    return deferred.promise;
+};
+
+/*
+ Returns true if the memoryDB is kept up to date for the key (pattern) of keyObj, because a listener
+ for the same pattern or, for a concrete key, a pattern matching it, has synchronized with the server.
+ */
+App.prototype.isFresh = function(keyObj) {
+
+    var self = this;  // capture this for use in closures
+
+    return _.some(this.listeners, function(listener) {
+        var covers = (listener.key === keyObj.key) || (!keyObj.isKeyPattern() && listener.matches(keyObj.key));
+        return covers && self.hasListener(listener.key) && self.rvtsDict['*.'+listener.key] !== undefined;
+    });
+};
+
+/*
+ Brings the memoryDB up to date with the server for the key (pattern) of keyObj, by advancing from
+ rvts 0 until no more vts are returned and fetching the values not already in the memoryDB.
+ */
+App.prototype.readFromServer = function(keyObj, callback, options) {
+
+    var self = this;  // capture this for use in closures
+    var vtsToFetch = [];
+
+    function advance(rvts) {
+        var op = Operation.readAdvance(keyObj, rvts).configure(options);
+        op.callback = function(error) {
+            if (error) {
+                return callback(error);
+            }
+            vtsToFetch = _.union(vtsToFetch, op.vtsToFetch);
+            if (op.vtsFound.length > 0 && op.rvtsPrime > rvts) {
+                advance(op.rvtsPrime);
+            } else {
+                fetch();
+            }
+        };
         self.addOperation(op);
-        self.advanceScheduled[aclKey] = true;
     }
+
+    function fetch() {
+        if (vtsToFetch.length === 0) {
+            return callback(null);
+        }
+        var op = Operation.readFetch(keyObj, vtsToFetch).configure(options);
+        op.callback = callback;
+        self.addOperation(op);
+    }
+
+    advance(0);
+};
+
+/*
+ Once a user has authenticated, replays the writes persisted by a previous instance of the app that
+ were made by that user, or before any user authenticated.  Writes made by other users are discarded,
+ so they are never sent with the credentials of this one.
+ */
+App.prototype.replayStoredWrites = function() {
+
+    if (this.authData === null) {
+        return;
+    }
+
+    var self = this;  // capture this for use in closures
+    var uid = this.authData.uid;
+
+    _.forEach(this.storedWrites, function(record) {
+        if (_.isNil(record.uid) || record.uid === uid) {
+            self.replayWrite(record);
+        } else {
+            logger.debug("Discarding pending write with CTS " + record.cts + " made by another user", { app: self });
+            self.storage.removeWrite(record.cts, storageErrorLogger(self));
+        }
+    });
+    this.storedWrites = [];
+};
+
+/* Discards the values, rvts and pending writes in the cache, and those persisted by the storage adapter */
+App.prototype.clearCache = function() {
+
+    this.memoryDB = {};
+    this.vtsIndex = {};
+    this.rvtsDict = {};
+    this.localWrites = {};
+    this.storedWrites = [];
+    this.storage.clear(storageErrorLogger(this));
+};
+
+/*
+ Requeues a pub persisted by a previous instance of the app, with its original cts.
+ Nobody is waiting on the result, so it is only logged.
+ */
+App.prototype.replayWrite = function(record) {
+    logger.debug("Replaying pending write with CTS " + record.cts + " for key '" + record.path.join(".") + "'", { app: this });
+
+    var op = Operation.pub(this.key(record.path));
+    op.cts = record.cts;
+    op.data = record.data;
+    op.deletePath = record.deletePath;
+    op.aclid = record.aclid;
+    op.condition = record.condition;
+
+    var self = this;  // capture this for use in closures
+
+    op.callback = function(error) {
+        if (error) {
+            logger.error("Replayed " + op.toString() + " failed: ", error, op.logFields());
+        }
+        if (!op.deletePath) {
+            self.settleLocalWrite(op, error);
+        }
+    };
+
+    if (!op.deletePath) {
+        this.applyLocalWrite(op);
+    }
+
+    this.addOperation(op);
 };
+
+App.prototype.startAdvance = function(keyObj) {
+
+    this.scheduler.start(keyObj);
+};
+
+/* Handle a value pushed by the server for a subscribed key */
+App.prototype.handleData = function(value) {
+
+    this.metrics.increment('values.received', 1, { source: 'push' });
+    this.deliverToListeners(value);
+    this.scheduler.trigger(value.key);
+};
+
+/* Returns a callback for the storage adapter that logs its errors for app */
+function storageErrorLogger(app) {
+    return function(error) {
+        if (error) {
+            logger.error("Error updating cache: " + error, { app: app });
+        }
+    };
+}
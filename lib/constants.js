@@ -28,7 +28,19 @@ var ErrorCodes = {
     /** The request specified invalid parameters. */
     InvalidRequest : 3,
     /** The request failed at the CSync server. */
-    RequestError : 4
+    RequestError : 4,
+    /** The entry changed since the version the conditional write was based on. */
+    Conflict : 5,
+    /** No response was received from the CSync service within the retry policy of the request. */
+    Timeout : 6,
+    /** The request was cancelled by its AbortSignal. */
+    Aborted : 7,
+    /** The ACL of the entry does not permit the request. */
+    PermissionDenied : 8,
+    /** The CSync service did not accept the credentials of the session. */
+    AuthenticationFailed : 9,
+    /** The connection to the CSync service failed or was lost. */
+    ConnectionFailed : 10
 };
 
 ErrorCodes.setup = function(obj) {
@@ -44,6 +56,24 @@ ErrorCodes.setup = function(obj) {
 
     obj.RequestError = ErrorCodes.RequestError;
     Object.defineProperty(obj, "RequestError", { writable: false });
+
+    obj.Conflict = ErrorCodes.Conflict;
+    Object.defineProperty(obj, "Conflict", { writable: false });
+
+    obj.Timeout = ErrorCodes.Timeout;
+    Object.defineProperty(obj, "Timeout", { writable: false });
+
+    obj.Aborted = ErrorCodes.Aborted;
+    Object.defineProperty(obj, "Aborted", { writable: false });
+
+    obj.PermissionDenied = ErrorCodes.PermissionDenied;
+    Object.defineProperty(obj, "PermissionDenied", { writable: false });
+
+    obj.AuthenticationFailed = ErrorCodes.AuthenticationFailed;
+    Object.defineProperty(obj, "AuthenticationFailed", { writable: false });
+
+    obj.ConnectionFailed = ErrorCodes.ConnectionFailed;
+    Object.defineProperty(obj, "ConnectionFailed", { writable: false });
 };
 
 module.exports = ErrorCodes;
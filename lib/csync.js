@@ -40,6 +40,40 @@ function CSync(options) {
 
 CSync.acl = require('./acl');
 
+CSync.storage = require('./storage');
+
+CSync.loopback = require('./loopback');
+
+CSync.errors = require('./errors');
+
+CSync.metrics = require('./metrics');
+
+var logging = require('./logger');
+
+/**
+ @function setLogger
+ @memberof module:CSync
+ @description Sets the logger that receives the log records of the SDK, in place of the console.
+
+ @param logger - a function called with each record, or an object with methods debug, info, warn and
+                 error, such as console or a pino logger, which are called with each record.  A record has
+                 attributes channel, level and message, and kind, closure and key when it is about an operation.
+                 Null restores the default of writing to the console.  An App given a logger of its own
+                 logs its messages with it instead.
+ */
+CSync.setLogger = logging.setLogger;
+
+/**
+ @function setLogLevel
+ @memberof module:CSync
+ @description Sets the least severe level of the records that are logged.  An App given a logLevel of its
+ own uses it for its messages instead.
+
+ @param {string} level - one of 'trace', 'debug', 'info', 'warning' and 'error', or 'silent' to log nothing
+ @param {string} channel - [Optional] the channel whose level is set, such as 'transport'; by default every channel
+ */
+CSync.setLogLevel = logging.setLevel;
+
 constants.setup(CSync);
 
 exports = module.exports = CSync;
@@ -0,0 +1,223 @@
+/*
+ * Copyright IBM Corporation 2016
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var constants = require('./constants');
+
+/**
+ @module Errors
+ @description The errors with which CSync calls fail.
+
+ Every error is a CSyncError, and so an Error, with a code from the CSync Error Codes.  Errors for
+ specific causes are subclasses of CSyncError, so they can be told apart with instanceof.  Requests
+ rejected by the CSync service fail with a RejectedError, whose serverCode is the code the service gave
+ (see SERVER_CODES).  Rejections for a lack of permission or an invalid key are also instances of
+ PermissionDeniedError or InvalidKeyError, but keep the code RequestError of every rejection:
+
+ @example
+ key.write(data).catch(function(error) {
+     if (error instanceof csync.errors.RejectedError) {
+         showRejectedBanner(error.serverCode);
+     }
+ });
+ */
+
+/**
+ @class CSyncError
+ @classdesc The base class of the errors reported by CSync.
+
+ @param {string} message - the description of the error
+ @param {int} code - [Optional] the CSync Error Code, RequestError by default
+ @param details - [Optional] a JSON object with attributes serverCode, kind and key
+ */
+function CSyncError(message, code, details) {
+
+    details = details || {};
+
+    /**
+     @property {string} message The description of the error
+     @memberof CSyncError
+     @instance
+     @name message
+     */
+    this.message = message;
+
+    /**
+     @property {int} code The CSync Error Code of the error
+     @memberof CSyncError
+     @instance
+     @name code
+     */
+    this.code = (code !== undefined) ? code : constants.RequestError;
+
+    /**
+     @property {int} serverCode The code with which the CSync service rejected the request,
+                     or null if the error did not come from the service
+     @memberof CSyncError
+     @instance
+     @name serverCode
+     */
+    this.serverCode = (details.serverCode !== undefined) ? details.serverCode : null;
+
+    /**
+     @property {string} kind The kind of request that failed, such as 'pub' for a write or delete,
+                        'sub', 'advance', 'fetch' or 'getAcls', or null if the error is not about a request
+     @memberof CSyncError
+     @instance
+     @name kind
+     */
+    this.kind = details.kind || null;
+
+    /**
+     @property {string} key The key of the failed request, or null if the request has no key
+     @memberof CSyncError
+     @instance
+     @name key
+     */
+    this.key = (details.key !== undefined) ? details.key : null;
+
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, this.constructor);
+    } else {
+        this.stack = (new Error(message)).stack;
+    }
+}
+
+CSyncError.prototype = Object.create(Error.prototype);
+CSyncError.prototype.constructor = CSyncError;
+CSyncError.prototype.name = 'CSyncError';
+
+exports.CSyncError = CSyncError;
+
+/* Defines a subclass of CSyncError, or of Parent, for the errors with code */
+function subclass(name, code, Parent) {
+
+    var ErrorClass = function(message, details) {
+        CSyncError.call(this, message, code, details);
+    };
+
+    ErrorClass.prototype = Object.create((Parent || CSyncError).prototype);
+    ErrorClass.prototype.constructor = ErrorClass;
+    ErrorClass.prototype.name = name;
+
+    exports[name] = ErrorClass;
+    return ErrorClass;
+}
+
+/**
+ @class RejectedError
+ @classdesc The CSync service rejected the request, code RequestError.  The serverCode of the error is the
+ code the service gave.  Some of its subclasses also report requests that the client rejected before
+ sending them, with a code of their own and a null serverCode.
+ @augments CSyncError
+ */
+subclass('RejectedError', constants.RequestError);
+
+/**
+ @class AuthError
+ @classdesc The CSync service did not accept the credentials of the session, code AuthenticationFailed.
+ @augments CSyncError
+ */
+subclass('AuthError', constants.AuthenticationFailed);
+
+/**
+ @class PermissionDeniedError
+ @classdesc The ACL of the entry does not allow the request.  The code is PermissionDenied when the client
+ found it before sending the request, or RequestError when the service rejected the request.
+ @augments RejectedError
+ */
+subclass('PermissionDeniedError', constants.PermissionDenied, exports.RejectedError);
+
+/**
+ @class InvalidKeyError
+ @classdesc The key is not valid.  The code is InvalidKey when the client found it before sending the request,
+ or RequestError when the service rejected the request.
+ @augments RejectedError
+ */
+subclass('InvalidKeyError', constants.InvalidKey, exports.RejectedError);
+
+/**
+ @class TimeoutError
+ @classdesc No response was received within the retry policy of the request, code Timeout.
+ @augments CSyncError
+ */
+subclass('TimeoutError', constants.Timeout);
+
+/**
+ @class ConnectionError
+ @classdesc The connection to the CSync service failed or was lost, code ConnectionFailed.
+ @augments CSyncError
+ */
+subclass('ConnectionError', constants.ConnectionFailed);
+
+/**
+ @class ConflictError
+ @classdesc The server rejected a conditional write as the entry changed since the version it was based on, code Conflict.
+ @augments RejectedError
+ */
+subclass('ConflictError', constants.Conflict, exports.RejectedError);
+
+/**
+ @class AbortedError
+ @classdesc The request was cancelled by its AbortSignal, code Aborted.
+ @augments CSyncError
+ */
+subclass('AbortedError', constants.Aborted);
+
+// Map from the codes of the errors with a subclass to the subclass
+var CLASSES = {};
+CLASSES[constants.AuthenticationFailed] = exports.AuthError;
+CLASSES[constants.PermissionDenied] = exports.PermissionDeniedError;
+CLASSES[constants.InvalidKey] = exports.InvalidKeyError;
+CLASSES[constants.Timeout] = exports.TimeoutError;
+CLASSES[constants.ConnectionFailed] = exports.ConnectionError;
+CLASSES[constants.Conflict] = exports.ConflictError;
+CLASSES[constants.Aborted] = exports.AbortedError;
+
+/* Returns a new error with code, an instance of its subclass of CSyncError if it has one */
+exports.create = function(code, message, details) {
+
+    var ErrorClass = CLASSES[code];
+    return (ErrorClass !== undefined) ? new ErrorClass(message, details) : new CSyncError(message, code, details);
+};
+
+/**
+ @constant SERVER_CODES
+ @description The codes with which a server rejects a request, found in the serverCode of a RejectedError:
+ invalidRequest, permissionDenied, conflict, for a conditional write whose condition does not hold, and invalidKey.
+ */
+exports.SERVER_CODES = {
+    invalidRequest: 2,
+    permissionDenied: 3,
+    conflict: 4,
+    invalidKey: 5
+};
+
+// Map from the server codes of the rejections with a subclass of RejectedError to the subclass
+var SERVER_CLASSES = {};
+SERVER_CLASSES[exports.SERVER_CODES.permissionDenied] = exports.PermissionDeniedError;
+SERVER_CLASSES[exports.SERVER_CODES.invalidKey] = exports.InvalidKeyError;
+
+/* Returns the error for a request the CSync service rejected with serverCode */
+exports.fromServer = function(serverCode, message) {
+
+    var ErrorClass = SERVER_CLASSES[serverCode] || exports.RejectedError;
+    var error = new ErrorClass(message, { serverCode: serverCode });
+
+    // Every rejection by the service has code RequestError, whatever its class
+    error.code = constants.RequestError;
+    return error;
+};
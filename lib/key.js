@@ -14,12 +14,14 @@
  * limitations under the License.
  */
 'use strict';
+/* global Symbol */
 
 var _    = require('lodash');
 var uuid = require('node-uuid');
 var when = require('when');
 
 var constants = require('./constants');
+var errors = require('./errors');
 
 var Operation = require('./operation');
 
@@ -101,8 +103,9 @@ function Key(app, key) {
     // Generate a uuid to use as a reference to this key
     this.uuid = uuid.v4();
 
-    // Map from (concrete) keystring to highest vts of value delivered to the listener
-    this.latest = {};
+    // Listener callbacks registered with listen, each with a map from (concrete) keystring
+    // to highest vts of value delivered to the callback
+    this.listeners = [];
 }
 
 module.exports = Key;
@@ -144,8 +147,7 @@ Key.prototype.error = function() {
 
     // Check number of components is <= 16
     if (this.components.length > 16) {
-        err = new Error("Key contains more than 16 components");
-        err.code = constants.InvalidKey;
+        err = new errors.InvalidKeyError("Key contains more than 16 components", { key: this.key });
         return err;
     }
 
@@ -158,8 +160,7 @@ Key.prototype.error = function() {
 
         // Each component must be non-empty
         if (part === "") {
-            err = new Error("Key contains empty component");
-            err.code = constants.InvalidKey;
+            err = new errors.InvalidKeyError("Key contains empty component", { key: this.key });
             return err;
         }
 
@@ -169,8 +170,7 @@ Key.prototype.error = function() {
             ((part.match(keyCharsRegex) || []).length === part.length)) {
                 // null then path
             } else {
-                err = new Error("Key contains invalid character");
-                err.code = constants.InvalidKey;
+                err = new errors.InvalidKeyError("Key contains invalid character", { key: this.key });
                 return err;
             }
 
@@ -179,8 +179,7 @@ Key.prototype.error = function() {
 
     // Check keyString length <= 200
     if (keyLength > 200) {
-        err = new Error("Key exceeds maximum length of 200 characters");
-        err.code = constants.InvalidKey;
+        err = new errors.InvalidKeyError("Key exceeds maximum length of 200 characters", { key: this.key });
         return err;
     }
     
@@ -237,9 +236,22 @@ Key.prototype.child = function(child) {
  The key specified for the write may not contain wildcards.
  The user must have write permisson to the entry for this key or the write is rejected.
 
+ The data is delivered immediately to listeners for the key in a Value with stable set to false.
+ If the write is rejected, listeners receive the value it would have replaced.
+
+ The write can be made conditional on the current state of the entry with the ifVts or
+ ifNotExists options.  The condition is sent with the write and checked by the server, which
+ rejects the write if the entry has changed; the write is then rejected with a ConflictError.
+ The CSync service does not check write conditions, so a conditional write requires a server
+ that does, such as the LoopbackServer, and is otherwise rejected with InvalidRequest.
+
  @param {object} data - an object that can be serialized to a string with JSON.stringify 
                         or a primitive piece of data.
- @param options - options for the write.  May contain acl, later to support schema
+ @param options - options for the write.  May contain acl, later to support schema.
+                  May contain ifVts, the vts of the Value the write is based on, to write only if
+                  the entry is unchanged, or ifNotExists, true to write only if the entry does not exist.
+                  May contain timeout, maxRetries and backoff to override the retry policy of the App,
+                  and signal, an AbortSignal that cancels the write.
 
  @return a promise that is fulfilled with the response from the service when it
     has accepted or rejected the write
@@ -249,7 +261,26 @@ Key.prototype.write = function(data, options) {
 
     options = options || {};
 
-    var op = Operation.pub(this);
+    var condition;
+    if (options.ifVts !== undefined) {
+        condition = { ifVts: options.ifVts };
+    } else if (options.ifNotExists) {
+        condition = { ifNotExists: true };
+    }
+
+    if (condition !== undefined && this.isKeyPattern()) {
+        deferred.reject(new errors.CSyncError("Conditional writes are not supported for key patterns.",
+                                              constants.InvalidRequest, { kind: 'pub', key: this.key }));
+        return deferred.promise;
+    }
+    if (condition !== undefined && !this.app.supports('conditionalWrites')) {
+        deferred.reject(new errors.CSyncError("The CSync service does not check write conditions.",
+                                              constants.InvalidRequest, { kind: 'pub', key: this.key }));
+        return deferred.promise;
+    }
+
+    var op = Operation.pub(this).configure(options);
+    op.condition = condition;
 
     if (_.isString(data)) {
         op.data = data;
@@ -257,8 +288,8 @@ Key.prototype.write = function(data, options) {
         op.data = JSON.stringify(data);
     } else if (data !== undefined) {
         // All other data types are an error
-        var error = new Error("Value for data is not string or object type.");
-        error.code = constants.RequestError;
+        var error = new errors.CSyncError("Value for data is not string or object type.", constants.RequestError,
+                                          { kind: 'pub', key: this.key });
         deferred.reject(error);
         return deferred.promise;
     }
@@ -267,19 +298,127 @@ Key.prototype.write = function(data, options) {
         op.aclid = options.acl.id;
     }
 
-    op.callback = function(error) {
+    var self = this;  // capture this for use in closures
+
+    // Writes to key patterns are rejected by the server, so are never applied locally
+    var local = !this.isKeyPattern() && this.error() === null;
+
+    function settle(error) {
+        if (local) {
+            self.app.settleLocalWrite(op, error);
+        }
         if (error) {
             deferred.reject(error);
         } else {
             deferred.resolve("ok");
         }
+    }
+
+    op.callback = function(error) {
+        if (error && condition !== undefined && error.serverCode === errors.SERVER_CODES.conflict) {
+            var reason = condition.ifNotExists ? "already exists." : "has changed since vts " + condition.ifVts + ".";
+            error = new errors.ConflictError("The entry for key " + self.key + " " + reason,
+                                             { serverCode: error.serverCode, kind: 'pub', key: self.key });
+        }
+        settle(error);
     };
 
+    if (local) {
+        this.app.applyLocalWrite(op);
+    }
+
     this.app.addOperation(op);
 
     return deferred.promise;
 };
 
+// Number of times a transaction is retried after a conflict, unless specified in its options
+var TRANSACTION_MAX_RETRIES = 5;
+
+/**
+ @function transaction
+ @memberof Key
+ @instance
+ @description
+
+ Updates the data of the entry for the key, based on its current data.
+
+ The current data of the entry is read from the service and passed to updateFn, which returns the
+ new data, or undefined to leave the entry unchanged.  The new data is written on condition that
+ the entry is still the one read (see the ifVts and ifNotExists options of write), which requires
+ a server that checks write conditions; otherwise the transaction is rejected with InvalidRequest
+ before anything is read.  When the entry has changed, the current
+ data is read again and updateFn called again, up to the maximum number of retries.
+
+ The key may not contain wildcards.
+
+ @param {function} updateFn - called with the current data of the entry, or null if it does not
+                              exist.  Returns the new data, which is serialized with JSON.stringify,
+                              or a promise for it.
+ @param options - [Optional] options for the transaction.  May contain maxRetries, the number of
+                  times to retry after a conflict (default 5), acl, the acl for the write, and
+                  timeout and backoff, the retry policy for each request of the transaction, and
+                  signal, an AbortSignal that cancels the transaction.
+
+ @return a promise that is fulfilled with an object with attributes committed, false if updateFn
+         returned undefined, and data, the data written, or rejected with error code Conflict
+         if the entry kept changing
+ */
+Key.prototype.transaction = function(updateFn, options) {
+
+    options = options || {};
+
+    var maxRetries = (options.maxRetries !== undefined) ? options.maxRetries : TRANSACTION_MAX_RETRIES;
+
+    // The maxRetries of a transaction counts conflicts, so is not passed on to its requests
+    var requestOptions = _.pick(options, ['timeout', 'backoff', 'signal']);
+
+    var self = this;  // capture this for use in closures
+
+    function attempt(retries) {
+        if (options.signal && options.signal.aborted) {
+            return when.reject(Operation.abortError("Transaction on key " + self.key + " was aborted"));
+        }
+
+        var current;
+        return self.read(_.assign({ fromServer: true }, requestOptions)).then(function(value) {
+            current = value;
+            return updateFn(value !== null ? value.data : null);
+        }).then(function(data) {
+            if (data === undefined) {
+                return { committed: false, data: current !== null ? current.data : null };
+            }
+            var condition = (current !== null) ? { ifVts: current.vts } : { ifNotExists: true };
+            return self.write(JSON.stringify(data), _.assign(condition, requestOptions, _.pick(options, 'acl'))).then(function() {
+                return { committed: true, data: data };
+            });
+        }).catch(function(error) {
+            if (error.code !== constants.Conflict) {
+                throw error;
+            }
+            if (retries >= maxRetries) {
+                error = new errors.ConflictError("Transaction on key " + self.key + " did not commit after " + (retries+1) + " attempts.",
+                                                 { kind: 'pub', key: self.key });
+                throw error;
+            }
+            logger.debug("Retrying transaction on key " + self.key + " after conflict", { app: self.app, key: self.key });
+            return attempt(retries + 1);
+        });
+    }
+
+    if (this.isKeyPattern()) {
+        var error = new errors.CSyncError("Transactions are not supported for key patterns.", constants.InvalidRequest,
+                                          { key: this.key });
+        return when.reject(error);
+    }
+    if (!this.app.supports('conditionalWrites')) {
+        return when.reject(new errors.CSyncError("The CSync service does not check the write conditions of a transaction.",
+                                                 constants.InvalidRequest, { key: this.key }));
+    }
+
+    return attempt(0);
+};
+
 /**
  @function delete
  @memberof Key
@@ -292,13 +431,16 @@ Key.prototype.write = function(data, options) {
  CSync store matching the key patterns are deleted.  Only keys for which the user has delete
  permission are deleted.
 
+ @param options - [Optional] options for the delete.  May contain timeout, maxRetries and backoff
+                  to override the retry policy of the App, and signal, an AbortSignal that cancels the delete.
+
  @return a promise that is fulfilled with the response from the service when it
          has accepted or rejected the delete
  */
-Key.prototype.delete = function() {
+Key.prototype.delete = function(options) {
     var deferred = when.defer();
 
-    var op = Operation.pub(this);
+    var op = Operation.pub(this).configure(options);
     op.deletePath = true;
 
     op.callback = function(error) {
@@ -314,6 +456,155 @@ Key.prototype.delete = function() {
     return deferred.promise;
 };
 
+/**
+ @function read
+ @memberof Key
+ @instance
+ @description
+
+ Reads the current value of the key, or the current values of the keys matching a key pattern.
+
+ Values are read from the local cache if it is being kept up to date by a listener for the key,
+ otherwise they are requested from the service.  Only keys/values for which the user has at
+ least read access are returned.
+
+ @param options - [Optional] options for the read.  If fromServer is true, the values are always
+                  requested from the service.  May contain timeout, maxRetries and backoff to
+                  override the retry policy of the App for the requests, and signal, an AbortSignal
+                  that cancels the read.
+
+ @return a promise that is fulfilled with the Value for a key, or null if the entry does not exist,
+         or with an array of Values for a key pattern
+ */
+Key.prototype.read = function(options) {
+
+    var deferred = when.defer();
+
+    options = options || {};
+
+    if (this.error() !== null) {
+        deferred.reject(this.error());
+        return deferred.promise;
+    }
+
+    var self = this;  // capture this for use in closures
+
+    function resolve() {
+        if (self.isKeyPattern()) {
+            deferred.resolve(_.sortBy(_.filter(_.values(self.app.memoryDB), function(value) {
+                return value.exists && self.matches(value.key);
+            }), 'key'));
+        } else {
+            var value = self.app.memoryDB[self.key];
+            deferred.resolve((value !== undefined && value.exists) ? value : null);
+        }
+    }
+
+    if (!options.fromServer && this.app.isFresh(this)) {
+        resolve();
+    } else {
+        this.app.readFromServer(this, function(error) {
+            if (error) {
+                deferred.reject(error);
+            } else {
+                resolve();
+            }
+        }, options);
+    }
+
+    return deferred.promise;
+};
+
+/**
+ @function setAcl
+ @memberof Key
+ @instance
+ @description
+
+ Changes the access control list of the entry for the key, without changing its data.
+
+ The entry is read (see read) to check that it exists and was created by the user, as only the
+ creator of an entry may change its ACL.  A server that accepts writes of the ACL alone is then sent
+ the new ACL without data.  Otherwise the data read is written back with the new ACL on condition that
+ the entry is unchanged, and the change is rejected with a Conflict error if another write came in
+ between.  The CSync service accepts neither, so against it the change is rejected with InvalidRequest.
+ When the key is a key pattern, the ACL is changed for each entry matching the pattern that was created
+ by the user; other entries are left unchanged.
+
+ @param {Acl} acl - the new ACL for the entry
+ @param options - [Optional] options for the change.  May contain timeout, maxRetries and backoff
+                  to override the retry policy of the App, and signal, an AbortSignal that cancels the change.
+
+ @return a promise that is fulfilled when the service has accepted the change, or rejected
+         if the entry does not exist, the user is not its creator or the service rejected the change
+ */
+Key.prototype.setAcl = function(acl, options) {
+
+    if (acl === undefined || acl === null || acl.id === undefined) {
+        return when.reject(new errors.CSyncError("An Acl is required to change the ACL of an entry.",
+                                                 constants.InvalidRequest, { kind: 'pub', key: this.key }));
+    }
+    if (!this.app.supports('aclOnlyWrites') && !this.app.supports('conditionalWrites')) {
+        return when.reject(new errors.CSyncError("The CSync service cannot change an ACL without overwriting the data.",
+                                                 constants.InvalidRequest, { kind: 'pub', key: this.key }));
+    }
+
+    var self = this;  // capture this for use in closures
+    var authData = this.app.authData;
+
+    return this.read(options).then(function(result) {
+
+        if (self.isKeyPattern()) {
+            var values = _.filter(result, function(value) {
+                return authData === null || value.creator === authData.uid;
+            });
+            return when.map(values, function(value) {
+                return rewriteWithAcl(self.app.key(value.key), value, acl, options);
+            }).then(function() {
+                return "ok";
+            });
+        }
+
+        if (result === null) {
+            return when.reject(new errors.CSyncError("Cannot change the ACL of a key with no entry.",
+                                                     constants.InvalidRequest, { kind: 'pub', key: self.key }));
+        }
+        if (authData !== null && result.creator !== authData.uid) {
+            return when.reject(new errors.PermissionDeniedError("Only the creator of an entry may change its ACL.",
+                                                                { kind: 'pub', key: self.key }));
+        }
+        return rewriteWithAcl(self, result, acl, options);
+    });
+};
+
+/*
+ Changes the ACL of the entry for keyObj, read as value, to acl: with a pub without data if the
+ transport accepts one, else by writing the data of value back if the entry is still at its vts
+ */
+function rewriteWithAcl(keyObj, value, acl, options) {
+
+    var deferred = when.defer();
+
+    var op = Operation.pub(keyObj).configure(options);
+    op.aclid = acl.id;
+    if (!keyObj.app.supports('aclOnlyWrites')) {
+        op.data = _.isString(value.data) ? value.data : JSON.stringify(value.data);
+        op.condition = { ifVts: value.vts };
+    }
+
+    op.callback = function(error) {
+        if (error) {
+            deferred.reject(error);
+        } else {
+            deferred.resolve("ok");
+        }
+    };
+
+    keyObj.app.addOperation(op);
+
+    return deferred.promise;
+}
+
 /**
  @function listen
  @memberof Key
@@ -327,36 +618,57 @@ Key.prototype.delete = function() {
  associated key, ACL, and a flag that indicates if the key has been deleted. Only keys/values
  for which the user has at least read access are delivered.
 
- A Key object may have at most one listener.  If listen is called for a Key that already
- has a registered listener, the prior listener is removed and replaced with the one specified
- on this call.
+ A Key object may have any number of listeners, each receiving all values for the key(s).
+ The service is only asked for values once per key pattern, however many listeners there are.
 
  @param {function} listener - callback to receive values for the specified key(s). The values
                               will be either a string representation of the data or Object if 
                               the data stored is in JSON format.
 
- @return void
+ @return a function that unregisters this listener, leaving any other listeners in place
  */
 Key.prototype.listen = function(listener) {
 
-    logger.debug("listen for key "+this.key);
+    logger.debug("listen for key "+this.key, { app: this.app, key: this.key });
 
     var self = this;  // capture this for use in closures
 
     if (this.error() !== null) {
         process.nextTick(function() {
-            if (listener.listener !== null) {
-                listener.listener(self.error, null);
-            }
+            listener(self.error(), null);
         });
 
+        return function() {};
+    }
+
+    var entry = { callback: listener, latest: {} };
+    this.listeners.push(entry);
+
+    if (_.includes(this.app.listeners, this)) {
+        // the app is already delivering to this key, so just catch up the new listener
+        this.app.deliverCached(this, entry);
+    } else {
+        // add listener to the app
+        this.app.addListener(this);
+    }
+
+    return function() {
+        self.removeListener(entry);
+    };
+};
+
+/* Unregister a single listener, removing the key from the app after its last listener */
+Key.prototype.removeListener = function(entry) {
+
+    if (!_.includes(this.listeners, entry)) {
         return;
     }
 
-    this.listener = listener;
+    _.pull(this.listeners, entry);
 
-    // add listener to the app
-    this.app.addListener(this);
+    if (this.listeners.length === 0) {
+        this.app.removeListener(this);
+    }
 };
 
 /**
@@ -365,20 +677,157 @@ Key.prototype.listen = function(listener) {
  @instance
  @description
 
- Unregister listener from receiving value updates for a specified key or keys matching a pattern.
+ Unregister all listeners from receiving value updates for a specified key or keys matching a pattern.
 
  @return void
  */
 Key.prototype.unlisten = function() {
-    logger.debug("unlisten for key "+this.key);
+    logger.debug("unlisten for key "+this.key, { app: this.app, key: this.key });
 
-    // remove listener from the app
-    this.listener = null;
+    // remove listeners from the key
+    this.listeners = [];
 
     // Remove listener from the app
     this.app.removeListener(this);
 };
 
+/**
+ @function values
+ @memberof Key
+ @instance
+ @description
+
+ Returns an async iterator over the values for the specified key/key pattern, for use with `for await`.
+
+ The iterator registers a listener for the key.  Values are delivered as for listen, and are buffered
+ until requested by the iterator.  The listener is removed when iteration ends, such as by a break
+ out of the loop, or when the key is invalid, in which case the iterator throws the key error.
+
+ @return an async iterator of Values
+ */
+Key.prototype.values = function() {
+
+    var buffered = [];   // values and errors not yet requested by next
+    var waiting = [];    // deferreds for calls to next waiting on a value
+    var done = false;
+
+    function end() {
+        done = true;
+        unsubscribe();
+        _.forEach(waiting, function(deferred) {
+            deferred.resolve({ value: undefined, done: true });
+        });
+        waiting = [];
+    }
+
+    var unsubscribe = this.listen(function(error, value) {
+        if (done) {
+            return;
+        }
+        if (waiting.length > 0) {
+            var deferred = waiting.shift();
+            if (error) {
+                deferred.reject(error);
+            } else {
+                deferred.resolve({ value: value, done: false });
+            }
+        } else {
+            buffered.push({ error: error, value: value });
+        }
+        if (error) {
+            end();
+        }
+    });
+
+    var iterator = {
+        next: function() {
+            if (buffered.length > 0) {
+                var item = buffered.shift();
+                return item.error ? when.reject(item.error) : when.resolve({ value: item.value, done: false });
+            }
+            if (done) {
+                return when.resolve({ value: undefined, done: true });
+            }
+            var deferred = when.defer();
+            waiting.push(deferred);
+            return deferred.promise;
+        },
+
+        return: function() {
+            if (!done) {
+                buffered = [];
+                end();
+            }
+            return when.resolve({ value: undefined, done: true });
+        }
+    };
+
+    if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+        iterator[Symbol.asyncIterator] = function() { return this; };
+    }
+
+    return iterator;
+};
+
+/**
+ @function observe
+ @memberof Key
+ @instance
+ @description
+
+ Returns an Observable of the values for the specified key/key pattern, compatible with RxJS and
+ other libraries implementing the ECMAScript Observable proposal.
+
+ Each subscription registers a listener for the key, which is removed when the subscription is
+ unsubscribed.  If the key is invalid, the key error is delivered to the observer's error callback.
+
+ @return an Observable of Values
+ */
+Key.prototype.observe = function() {
+
+    var self = this;  // capture this for use in closures
+
+    var observable = {
+        subscribe: function(observerOrNext, error, complete) {
+            var observer = _.isFunction(observerOrNext) ?
+                { next: observerOrNext, error: error, complete: complete } : (observerOrNext || {});
+
+            var subscription = {
+                closed: false,
+                unsubscribe: function() {
+                    if (!subscription.closed) {
+                        subscription.closed = true;
+                        unsubscribe();
+                    }
+                }
+            };
+
+            var unsubscribe = self.listen(function(err, value) {
+                if (subscription.closed) {
+                    return;
+                }
+                if (err) {
+                    subscription.unsubscribe();
+                    if (observer.error) {
+                        observer.error(err);
+                    }
+                } else if (observer.next) {
+                    observer.next(value);
+                }
+            });
+
+            return subscription;
+        }
+    };
+
+    observable[observableSymbol] = function() { return this; };
+
+    return observable;
+};
+
+// Property by which interoperating libraries recognize an Observable
+var observableSymbol = (typeof Symbol === 'function' && Symbol.observable) || '@@observable';
+
 /* Return true if the concrete key `other` matches this key (which may be a key pattern) */
 Key.prototype.matches = function(/*{String}*/other) {
     if (!this.isKeyPattern()) {
@@ -405,19 +854,51 @@ Key.prototype.matches = function(/*{String}*/other) {
     return (this.components.length === components.length);
 };
 
-/* Deliver a value to the listener on a new stack, if still listening and the most recent value  */
-Key.prototype.deliver = function(/*{Value}*/value) {
+/* Return true if every concrete key matching the Key `other` (which may be a key pattern) also matches this key */
+Key.prototype.subsumes = function(/*{Key}*/other) {
+
+    for (var i = 0; i < this.components.length; ++i) {
+        // # matches zero or more parts, so matches anything other matches from here
+        if (this.components[i] === '#') {
+            return true;
+        }
+
+        // Other matches keys shorter than this key, or of any length from here
+        if (other.components.length-1 < i || other.components[i] === '#') {
+            return false;
+        }
+
+        if ((other.components[i] !== this.components[i]) && (this.components[i] !== "*")) {
+            return false;
+        }
+    }
+
+    return (this.components.length === other.components.length);
+};
+
+/*
+ Deliver a value to each listener (or only the listener entry, if specified) on a new stack,
+ if still listening and the most recent value.
+ Unstable values and values delivered with force (replacing a rejected local write) are always delivered.
+ */
+Key.prototype.deliver = function(/*{Value}*/value, force, entry) {
 
     var self = this;  // capture this for use in closures
 
     process.nextTick(function() {
-        if (self.listener !== null) {
-            var lastvts = self.latest[value.key] || 0;
-            if (lastvts < value.vts) {
-                self.latest[value.key] = value.vts;
-                self.listener(null, value);
+        var entries = (entry !== undefined) ? [entry] : self.listeners.slice();
+        _.forEach(entries, function(listener) {
+            if (!_.includes(self.listeners, listener)) {
+                return;
             }
-        }
+            var lastvts = listener.latest[value.key] || 0;
+            if (!value.stable) {
+                listener.callback(null, value);
+            } else if (force || lastvts < value.vts) {
+                listener.latest[value.key] = value.vts || 0;
+                listener.callback(null, value);
+            }
+        });
     });
 
 };
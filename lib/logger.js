@@ -15,7 +15,35 @@
  */
 'use strict';
 
-// Levels
+var _ = require('lodash');
+
+/*
+ Logger -- the log channels of the modules of the SDK.
+
+ Each module logs to its own channel, obtained with require('./logger')(chan), whose levels are
+ enabled with the enable* flags.  By default the modules enable debug and warning from the DEBUG
+ and DEBUG_<CHANNEL> environment variables; setLevel changes the levels of every channel at runtime.
+
+ Each message is a record with attributes channel, level, message, and the attributes of an object
+ passed after the message, such as the kind, closure and key of an operation, or err for an Error.
+ Records are written to the console as '[chan:level] message', unless another logger is set with setLogger.
+
+ The object may also have an attribute app, the App the message is about, which is not recorded.  An
+ App with a logger or logLevel of its own (see the options of the App) logs its messages with them,
+ in place of those set with setLogger and setLevel.
+ */
+
+// Levels, from the most to the least verbose
+var LEVELS = ['trace', 'debug', 'info', 'warning', 'error'];
+
+// Method of a logger object called for each level
+var METHODS = { trace: 'debug', debug: 'debug', info: 'info', warning: 'warn', error: 'error' };
+
+// The logger that receives the records, or null for the console
+var sink = null;
+
+// The level set for every channel by setLevel, if any
+var globalLevel = null;
 
 function Debug(chan) {
 
@@ -30,37 +58,105 @@ function Debug(chan) {
     self.enableWarning = false;
     self.enableError = true;
 
-    function doit(flag,what,args,func) {
+    function doit(flag,what,args) {
+        var app = appOf(args);
+        if (app !== null && app.logLevel) {
+            flag = (LEVELS.indexOf(what) >= levelIndex(app.logLevel));
+        }
         if (flag) {
-            if (args.length == 1) {
-                func('[%s:%s] %s',chan,what,args[0]);
-            } else {
-                args[0] = '[' + chan + ':' + what + '] ';
-                func.apply(null,args);
-            }
+            write(record(chan,what,args), app);
         }
-    }            
+    }
 
     self.trace = function() {
-        doit(self.enableTrace,'trace',arguments,console.log);
+        doit(self.enableTrace,'trace',arguments);
     };
 
     self.debug = function() {
-        doit(self.enableDebug,'debug',arguments,console.log);
+        doit(self.enableDebug,'debug',arguments);
     };
  
     self.info = function() {
-        doit(self.enableInfo,'info',arguments,console.log);
+        doit(self.enableInfo,'info',arguments);
     };
 
     self.error = function() {
-        doit(self.enableError,'error',arguments,console.log);
+        doit(self.enableError,'error',arguments);
     };
 
     self.warning = function() {
-        doit(self.enableWarning,'warning',arguments,console.log);
+        doit(self.enableWarning,'warning',arguments);
     };
 
+    /* Enables level and the less verbose levels, or none for 'silent' */
+    self.setLevel = function(level) {
+        var index = levelIndex(level);
+
+        self.enableTrace = (index <= 0);
+        self.enableDebug = (index <= 1);
+        self.enableInfo = (index <= 2);
+        self.enableWarning = (index <= 3);
+        self.enableError = (index <= 4);
+    };
+}
+
+function checkLevel(level) {
+
+    if (LEVELS.indexOf(level) < 0 && level !== 'silent') {
+        throw new Error("Unknown log level " + level);
+    }
+}
+
+/* Returns the index in LEVELS of the most verbose level logged at level */
+function levelIndex(level) {
+
+    checkLevel(level);
+    return (level === 'silent') ? LEVELS.length : LEVELS.indexOf(level);
+}
+
+/* Returns the App a log call is about, given as the app attribute of its object, or null */
+function appOf(args) {
+
+    var fields = _.find(_.tail(args), _.isPlainObject);
+    return (fields !== undefined && fields.app !== undefined) ? fields.app : null;
+}
+
+/*
+ Returns the record for the arguments of a log call: a message, then optionally an object with
+ attributes for the record.  An Error is recorded as err, and any other argument is added to the message.
+ */
+function record(chan, level, args) {
+
+    var result = { channel: chan, level: level, message: String(args[0]) };
+
+    _.forEach(_.tail(args), function(arg) {
+        if (arg instanceof Error) {
+            result.err = arg;
+            result.message += arg;
+        } else if (_.isPlainObject(arg)) {
+            _.assign(result, _.omitBy(_.omit(arg, 'app'), _.isUndefined));
+        } else {
+            result.message += arg;
+        }
+    });
+
+    return result;
+}
+
+/* Writes rec to the logger of app, if it has one, else to the logger set with setLogger */
+function write(rec, app) {
+
+    var target = (app !== null && app.logger) ? app.logger : sink;
+
+    if (target === null) {
+        var func = (rec.level === 'error') ? console.error : (rec.level === 'warning') ? console.warn : console.log;
+        func('[%s:%s] %s', rec.channel, rec.level, rec.message);
+    } else if (_.isFunction(target)) {
+        target(rec);
+    } else {
+        var method = target[METHODS[rec.level]] || target.log;
+        method.call(target, rec);
+    }
 }
 
 var channels = {};
@@ -69,9 +165,44 @@ function get(chan) {
     var x = channels[chan];
     if (!x) {
         x = new Debug(chan);
+        if (globalLevel !== null) {
+            x.setLevel(globalLevel);
+        }
         channels[chan] = x;
     }
     return x;
 }
 
-module.exports = get;
\ No newline at end of file
+/*
+ Sets the level of the channel chan, or of every channel if chan is omitted.
+ Level is one of trace, debug, info, warning and error, or silent.
+ */
+get.setLevel = function(level, chan) {
+
+    checkLevel(level);
+
+    if (chan !== undefined) {
+        get(chan).setLevel(level);
+        return;
+    }
+
+    _.forEach(channels, function(channel) {
+        channel.setLevel(level);
+    });
+    globalLevel = level;
+};
+
+/*
+ Sets the logger that receives the records: a function called with each record, or an object with
+ methods debug, info, warn and error (or log), such as console or a pino or winston logger, which are
+ called with the record.  Null restores writing to the console.
+ */
+get.setLogger = function(logger) {
+
+    sink = logger || null;
+};
+
+get.LEVELS = LEVELS;
+get.checkLevel = checkLevel;
+
+module.exports = get;
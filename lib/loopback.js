@@ -0,0 +1,550 @@
+/*
+ * Copyright IBM Corporation 2016
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var _ = require('lodash');
+var uuid = require('node-uuid');
+
+var errors = require('./errors');
+var Response = require('./response');
+
+var logger = require('./logger')('loopback');
+
+// Development flags setup
+logger.enableDebug = (process.env.DEBUG || process.env.DEBUG_LOOPBACK) ? true : false;
+logger.enableWarning = (process.env.DEBUG || process.env.DEBUG_LOOPBACK) ? true : false;
+
+/**
+ @module Loopback
+ @description
+
+ An in-process implementation of the CSync service, for testing applications without a server.
+
+ A LoopbackServer keeps its store in memory and implements the pub, sub, advance, fetch and
+ getAcls requests of the CSync protocol with the static ACLs, and the createAcl, updateAcl and
+ deleteAcl requests for ACLs that name specific users.  Pubs may carry a condition, ifVts or
+ ifNotExists, on the state of the entry they apply to.  Users are authenticated with
+ the demo provider: the token demoToken, or demoToken(someString) for other users.
+
+ Apps connect to a LoopbackServer through the transport returned by its createTransport method.
+ Several Apps may share a LoopbackServer to test how they interact:
+
+     var server = new csync.loopback.LoopbackServer();
+     var app = csync({transport: server.createTransport()});
+ */
+
+var MESSAGE_VERSION = 15;
+
+// Maximum number of vts returned by an advance
+var ADVANCE_LIMIT = 100;
+
+// Codes in the happy responses: ok, or the code of the rejection (see errors.SERVER_CODES)
+var RESPONSE_CODES = _.assign({ ok: 0 }, errors.SERVER_CODES);
+
+// The ACL of the root key, which is the ACL inherited by keys with no existing ancestor
+var ROOT_ACL = "$publicCreate";
+
+var STATIC_ACLS = [
+    "$private",
+    "$publicRead",
+    "$publicWrite",
+    "$publicCreate",
+    "$publicReadWrite",
+    "$publicReadCreate",
+    "$publicWriteCreate",
+    "$publicReadWriteCreate"
+];
+
+/**
+ @class LoopbackServer
+ @classdesc An in-memory CSync service.
+
+ @param options - [Optional] A JSON object with attribute authenticate, a function called with
+                  the provider and token of a connection that returns the uid of the user, or null
+                  to reject the connection.  By default users are authenticated with the demo provider.
+                  The optional attribute tokenLifetime is the number of seconds until the expiry
+                  reported for a token (default 3600).
+ */
+function LoopbackServer(options) {
+    if (!(this instanceof LoopbackServer)) {
+        return new LoopbackServer(options);
+    }
+
+    options = options || {};
+
+    this.authenticate = options.authenticate || demoAuthenticate;
+    this.tokenLifetime = (options.tokenLifetime !== undefined) ? options.tokenLifetime : 3600;
+
+    this.entries = {};     // Map from keystring to the payload of the latest value of the key
+    this.lastVts = 0;
+
+    this.acls = {};        // Map from aclid to the {creator, read, write, create} of ACLs created by users
+
+    this.sessions = [];    // Array of {client, sessionId, uid, subs} for the connected clients
+}
+
+/**
+ @function createTransport
+ @memberof LoopbackServer
+ @instance
+ @description Creates a transport that connects an App to this server.
+
+ @return A transport to pass as the transport option of csync.
+ */
+LoopbackServer.prototype.createTransport = function() {
+
+    return new LoopbackTransport(this);
+};
+
+/*
+ Opens a session for client, which receives the data messages for its subscriptions through its
+ push method.  Args has the sessionId, authProvider and token of the connection.
+ Returns the connectResponse message, or an error message if the user is not authenticated.
+ */
+LoopbackServer.prototype.connect = function(client, args) {
+
+    var uid = (args.authProvider && args.token) ? this.authenticate(args.authProvider, args.token) : null;
+    if (uid === null || uid === undefined) {
+        return message('error', { msg: "Cannot authenticate with provider " + args.authProvider });
+    }
+
+    // A session reconnected with the same sessionId keeps its subscriptions
+    var previous = _.find(this.sessions, { sessionId: args.sessionId });
+    _.pull(this.sessions, previous);
+    this.disconnect(client);
+    this.sessions.push({ client: client, sessionId: args.sessionId, uid: uid, subs: previous ? previous.subs : [] });
+
+    return message('connectResponse', {
+        uuid: args.sessionId,
+        uid: uid,
+        expires: Math.floor(Date.now()/1000) + this.tokenLifetime
+    });
+};
+
+/* Closes the session of client */
+LoopbackServer.prototype.disconnect = function(client) {
+
+    _.remove(this.sessions, { client: client });
+};
+
+/* Returns the response message to a request message from client */
+LoopbackServer.prototype.handle = function(client, request) {
+    logger.debug("handling " + request.kind + " request");
+
+    var session = _.find(this.sessions, { client: client });
+    var payload = request.payload || {};
+    var response;
+
+    if (session === undefined) {
+        response = message('error', { msg: "Not connected" });
+
+    } else if (request.version !== MESSAGE_VERSION) {
+        response = message('error', { msg: "Unsupported message version " + request.version });
+
+    } else if (request.kind === 'pub') {
+        response = this.pub(session, payload);
+
+    } else if (request.kind === 'sub' || request.kind === 'unsub') {
+        _.remove(session.subs, function(pattern) { return _.isEqual(pattern, payload.path); });
+        if (request.kind === 'sub') {
+            session.subs.push(payload.path);
+        }
+        response = happy(RESPONSE_CODES.ok, "OK");
+
+    } else if (request.kind === 'advance') {
+        response = this.advance(session, payload);
+
+    } else if (request.kind === 'fetch') {
+        response = this.fetch(session, payload);
+
+    } else if (request.kind === 'getAcls') {
+        response = message('getAclsResponse', { acls: this.availableAcls(session) });
+
+    } else if (request.kind === 'createAcl' || request.kind === 'updateAcl' || request.kind === 'deleteAcl') {
+        response = this.changeAcl(session, request.kind, payload);
+
+    } else {
+        response = message('error', { msg: "Unknown request kind " + request.kind });
+    }
+
+    response.closure = request.closure;
+    return response;
+};
+
+LoopbackServer.prototype.pub = function(session, payload) {
+
+    var self = this;  // capture this for use in closures
+
+    var path = payload.path || [];
+    var pattern = _.some(path, function(part) { return part === '*' || part === '#'; });
+
+    if (payload.assumeACL !== undefined && !_.includes(STATIC_ACLS, payload.assumeACL) &&
+        this.acls[payload.assumeACL] === undefined) {
+        return happy(RESPONSE_CODES.invalidRequest, "Unknown ACL " + payload.assumeACL);
+    }
+
+    if (payload.deletePath) {
+        // Deletes are permitted only to the creator, and silently skip other entries matching a pattern
+        var targets = _.filter(this.entries, function(entry) {
+            return !entry.deletePath && (pattern ? matches(path, entry.path) : _.isEqual(path, entry.path));
+        });
+        if (!pattern && targets.length === 1 && targets[0].creator !== session.uid) {
+            return happy(RESPONSE_CODES.permissionDenied, "Permission denied");
+        }
+        _.forEach(targets, function(entry) {
+            if (entry.creator === session.uid) {
+                self.store({ path: entry.path, deletePath: true, acl: entry.acl, creator: entry.creator, cts: payload.cts });
+            }
+        });
+        return happy(RESPONSE_CODES.ok, "OK");
+    }
+
+    if (pattern || path.length === 0) {
+        return happy(RESPONSE_CODES.invalidKey, "Invalid key for write");
+    }
+
+    var current = this.entries[path.join(".")];
+    var exists = current !== undefined && !current.deletePath;
+
+    // A conditional write applies only to the entry in the state it was based on
+    if ((payload.ifNotExists && exists) ||
+        (payload.ifVts !== undefined && (!exists || current.vts !== payload.ifVts))) {
+        return happy(RESPONSE_CODES.conflict, "Conflict");
+    }
+
+    if (current !== undefined && current.cts >= payload.cts) {
+        // A newer write has already been applied
+        return happy(RESPONSE_CODES.ok, "OK");
+    }
+
+    if (!exists) {
+        var parentAcl = this.inheritedAcl(path);
+        if (!this.permits(parentAcl.acl, parentAcl.creator, session.uid, 'Create')) {
+            return happy(RESPONSE_CODES.permissionDenied, "Permission denied");
+        }
+        this.store({ path: path, data: payload.data, deletePath: false, acl: payload.assumeACL || parentAcl.acl,
+                     creator: session.uid, cts: payload.cts });
+        return happy(RESPONSE_CODES.ok, "OK");
+    }
+
+    // Changing the ACL is reserved to the creator
+    if (payload.assumeACL !== undefined && current.creator !== session.uid) {
+        return happy(RESPONSE_CODES.permissionDenied, "Permission denied");
+    }
+    if (payload.data !== undefined && !this.permits(current.acl, current.creator, session.uid, 'Write')) {
+        return happy(RESPONSE_CODES.permissionDenied, "Permission denied");
+    }
+
+    this.store({ path: path, data: (payload.data !== undefined) ? payload.data : current.data, deletePath: false,
+                 acl: payload.assumeACL || current.acl, creator: current.creator, cts: payload.cts });
+    return happy(RESPONSE_CODES.ok, "OK");
+};
+
+LoopbackServer.prototype.advance = function(session, payload) {
+
+    var self = this;  // capture this for use in closures
+
+    var vts = _.sortBy(_.filter(this.entries, function(entry) {
+        return entry.vts > payload.rvts && matches(payload.pattern, entry.path) && self.readable(session, entry);
+    }), 'vts').map(function(entry) { return entry.vts; });
+
+    // The next advance resumes after the last vts returned when the response is truncated
+    var maxvts = this.lastVts;
+    if (vts.length > ADVANCE_LIMIT) {
+        vts = vts.slice(0, ADVANCE_LIMIT);
+        maxvts = _.last(vts);
+    }
+
+    return message('advanceResponse', { vts: vts, maxvts: maxvts });
+};
+
+LoopbackServer.prototype.fetch = function(session, payload) {
+
+    var self = this;  // capture this for use in closures
+
+    var values = _.filter(this.entries, function(entry) {
+        return _.includes(payload.vts, entry.vts) && self.readable(session, entry);
+    });
+
+    return message('fetchResponse', { response: values });
+};
+
+/* Stores a new value, assigning it the next vts, and pushes it to the subscribed sessions */
+LoopbackServer.prototype.store = function(entry) {
+
+    var self = this;  // capture this for use in closures
+
+    this.lastVts += 1;
+    entry.vts = this.lastVts;
+    this.entries[entry.path.join(".")] = entry;
+
+    _.forEach(this.sessions, function(session) {
+        var subscribed = _.some(session.subs, function(pattern) { return matches(pattern, entry.path); });
+        if (subscribed && self.readable(session, entry)) {
+            session.client.push(message('data', entry));
+        }
+    });
+};
+
+LoopbackServer.prototype.readable = function(session, entry) {
+
+    return this.permits(entry.acl, entry.creator, session.uid, 'Read');
+};
+
+/* Returns true if acl grants uid the access ('Read', 'Write' or 'Create') to an entry created by creator */
+LoopbackServer.prototype.permits = function(acl, creator, uid, access) {
+
+    if (creator !== null && creator === uid) {
+        return true;
+    }
+    if (_.includes(STATIC_ACLS, acl)) {
+        return acl.indexOf(access) !== -1;
+    }
+    var custom = this.acls[acl];
+    return custom !== undefined && _.includes(custom[access.toLowerCase()], uid);
+};
+
+/* Returns the ids of the static ACLs and of the ACLs created by or naming the user of session */
+LoopbackServer.prototype.availableAcls = function(session) {
+
+    var custom = _.keys(_.pickBy(this.acls, function(acl) {
+        return acl.creator === session.uid || _.includes(_.union(acl.read, acl.write, acl.create), session.uid);
+    }));
+    return STATIC_ACLS.concat(custom);
+};
+
+/* Creates, updates or deletes an ACL.  Only the creator of an ACL may update or delete it. */
+LoopbackServer.prototype.changeAcl = function(session, kind, payload) {
+
+    var aclid = payload.aclid;
+    var current = this.acls[aclid];
+
+    if (!_.isString(aclid) || _.includes(STATIC_ACLS, aclid)) {
+        return happy(RESPONSE_CODES.invalidRequest, "Invalid ACL " + aclid);
+    }
+    if (kind === 'createAcl') {
+        if (current !== undefined) {
+            return happy(RESPONSE_CODES.invalidRequest, "ACL " + aclid + " already exists");
+        }
+    } else if (current === undefined) {
+        return happy(RESPONSE_CODES.invalidRequest, "Unknown ACL " + aclid);
+    } else if (current.creator !== session.uid) {
+        return happy(RESPONSE_CODES.permissionDenied, "Permission denied");
+    }
+
+    if (kind === 'deleteAcl') {
+        delete this.acls[aclid];
+    } else {
+        this.acls[aclid] = { creator: session.uid, read: payload.read || [], write: payload.write || [],
+                             create: payload.create || [] };
+    }
+    return happy(RESPONSE_CODES.ok, "OK");
+};
+
+/* Returns the acl and creator of the closest existing ancestor of path */
+LoopbackServer.prototype.inheritedAcl = function(path) {
+
+    for (var i = path.length-1; i > 0; --i) {
+        var ancestor = this.entries[path.slice(0, i).join(".")];
+        if (ancestor !== undefined && !ancestor.deletePath) {
+            return { acl: ancestor.acl, creator: ancestor.creator };
+        }
+    }
+    return { acl: ROOT_ACL, creator: null };
+};
+
+/**
+ @class LoopbackTransport
+ @classdesc A transport that connects an App to a LoopbackServer in the same process.
+
+ Requests are answered and data is pushed asynchronously, as they would be by the CSync service.
+ */
+function LoopbackTransport(server) {
+
+    this.server = server;
+    this.app = null;   // set by the App using the transport
+
+    this.authProvider = null;
+    this.token = null;
+
+    this.sessionId = null;
+    this.isConnected = false;
+
+    this.callbacks = {};
+    this.connectCallback = null;
+
+    // The LoopbackServer accepts the optional requests
+    this.features = { aclManagement: true, aclOnlyWrites: true, conditionalWrites: true };
+}
+
+LoopbackTransport.prototype.startSession = function(callback) {
+
+    // For now, we simply return if a session is active
+    if (this.sessionId !== null) {
+        callback(null, null);
+        return;
+    }
+
+    this.sessionId = uuid.v4();
+    this.connectCallback = callback;
+    this.connect();
+};
+
+LoopbackTransport.prototype.renewSession = function(callback) {
+
+    this.isConnected = false;
+    this.connectCallback = callback;
+    this.connect();
+};
+
+LoopbackTransport.prototype.endSession = function() {
+
+    this.server.disconnect(this);
+    this.sessionId = null;
+    this.isConnected = false;
+    this.connectCallback = null;
+
+    this.app.setConnectionState('disconnected');
+};
+
+LoopbackTransport.prototype.connected = function() {
+
+    return this.isConnected;
+};
+
+LoopbackTransport.prototype.send = function(request, callback) {
+
+    // As with the WebSocket transport, a request made while disconnected is resent by its
+    // operation when the connection is established (see App.handleConnect).
+    if (!this.isConnected) {
+        return;
+    }
+
+    if (callback !== undefined) {
+        this.callbacks[request.closure] = callback;
+    }
+
+    var self = this;  // capture this for use in closures
+    var message = JSON.parse(request.message());
+
+    process.nextTick(function() {
+        if (!self.isConnected) {
+            return;
+        }
+        var response = new Response(self.app, JSON.stringify(self.server.handle(self, message)));
+        var callback = self.callbacks[response.closure];
+        if (callback !== undefined) {
+            delete self.callbacks[response.closure];
+            callback(response, response.error);
+        }
+    });
+};
+
+LoopbackTransport.prototype.cancel = function(request) {
+
+    if (request !== undefined) {
+        delete this.callbacks[request.closure];
+    }
+};
+
+LoopbackTransport.prototype.connect = function() {
+
+    var self = this;  // capture this for use in closures
+    var args = { sessionId: this.sessionId, authProvider: this.authProvider, token: this.token };
+
+    this.app.setConnectionState('connecting');
+
+    process.nextTick(function() {
+        var response = new Response(self.app, JSON.stringify(self.server.connect(self, args)));
+        var callback = self.connectCallback;
+        self.connectCallback = null;
+
+        if (response.kind !== 'connectResponse') {
+            self.sessionId = null;
+            self.app.setConnectionState('disconnected', response.error);
+            if (callback !== null) {
+                callback(response.error);
+            }
+            return;
+        }
+
+        self.isConnected = true;
+        self.app.setConnectionState('connected');
+        self.app.handleConnect();
+        if (callback !== null) {
+            callback(null, _.pick(response.payload, ['uuid', 'uid', 'expires']));
+        }
+    });
+};
+
+/* Called by the server with the data messages for the subscriptions of the session */
+LoopbackTransport.prototype.push = function(data) {
+
+    var self = this;  // capture this for use in closures
+    var text = JSON.stringify(data);
+
+    process.nextTick(function() {
+        if (!self.isConnected) {
+            return;
+        }
+        new Response(self.app, text).values.forEach(function(value) {
+            self.app.handleData(value);
+        });
+    });
+};
+
+// MARK: - Helpers
+
+function message(kind, payload) {
+    return { version: MESSAGE_VERSION, kind: kind, closure: null, payload: payload };
+}
+
+function happy(code, msg) {
+    return message('happy', { code: code, msg: msg });
+}
+
+/* Returns true if the key pattern (an array of components) matches path */
+function matches(pattern, path) {
+
+    for (var i = 0; i < pattern.length; ++i) {
+        // # matches zero or more parts.
+        if (pattern[i] === '#') {
+            return true;
+        }
+        if (path.length-1 < i || (pattern[i] !== '*' && pattern[i] !== path[i])) {
+            return false;
+        }
+    }
+    return pattern.length === path.length;
+}
+
+/* Authenticates the demo users: demoToken and demoToken(someString) */
+function demoAuthenticate(provider, token) {
+
+    if (provider !== 'demo') {
+        return null;
+    }
+    if (token === 'demoToken') {
+        return 'demoUser';
+    }
+    var match = /^demoToken\((.*)\)$/.exec(token);
+    return match ? 'demoUser(' + match[1] + ')' : null;
+}
+
+module.exports = {
+    LoopbackServer: LoopbackServer,
+    LoopbackTransport: LoopbackTransport
+};
@@ -0,0 +1,188 @@
+/*
+ * Copyright IBM Corporation 2016
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var _ = require('lodash');
+
+var logger = require('./logger')('metrics');
+
+// Development flags setup
+logger.enableDebug = (process.env.DEBUG || process.env.DEBUG_METRICS) ? true : false;
+logger.enableWarning = (process.env.DEBUG || process.env.DEBUG_METRICS) ? true : false;
+
+/**
+ @module Metrics
+ @description Instrumentation of the requests and connection of an App.
+
+ An App reports its metrics to hooks, an object with any of the methods:
+
+ - increment(name, value, tags): adds value to the counter name
+ - observe(name, value, tags): records value in the histogram name
+ - gauge(name, value, tags): sets the gauge name to value
+
+ where tags is an object whose attributes qualify the metric, such as the kind of request.  Pass the
+ hooks in the metrics option of csync to forward the metrics to a monitoring system.  An error thrown
+ by a hook is logged, and does not affect the App.  Every App also
+ collects its metrics in a MemoryMetrics, whose snapshot is returned by the stats method of App.
+
+ The metrics are:
+
+ - operations.sent (counter, kind): requests sent, including resends
+ - operations.retries (counter, kind): requests resent after receiving no response within their timeout
+ - operations.timeouts (counter, kind): operations failed with error code Timeout
+ - operations.completed (counter, kind and outcome 'ok' or 'error'): operations finished
+ - operations.latency (histogram, kind): millis between sending a request and receiving its response
+ - queue.depth (gauge): operations in the queue of the App, started or waiting
+ - values.received (counter, source 'fetch' or 'push'): values received from the service
+ - connection.state (counter, state): changes of the connection state
+ - connection.reconnects (counter): attempts to reestablish a dropped connection
+ */
+
+// Number of recent values kept by each histogram of a MemoryMetrics for its percentiles
+var HISTOGRAM_SAMPLES = 1000;
+
+/* Returns the key of the metric name with tags, such as operations.sent{kind=pub} */
+function metricKey(name, tags) {
+
+    if (_.isEmpty(tags)) {
+        return name;
+    }
+    var pairs = _.map(_.sortBy(_.keys(tags)), function(tag) {
+        return tag + '=' + tags[tag];
+    });
+    return name + '{' + pairs.join(',') + '}';
+}
+
+/* Returns the value at fraction p of the sorted array values */
+function percentile(values, p) {
+
+    return values[Math.min(values.length - 1, Math.floor(p * values.length))];
+}
+
+/**
+ @class MemoryMetrics
+ @classdesc Hooks that collect metrics in memory.
+ */
+function MemoryMetrics() {
+
+    this.reset();
+}
+
+exports.MemoryMetrics = MemoryMetrics;
+
+MemoryMetrics.prototype.increment = function(name, value, tags) {
+
+    var key = metricKey(name, tags);
+    this.counters[key] = (this.counters[key] || 0) + ((value !== undefined) ? value : 1);
+};
+
+MemoryMetrics.prototype.observe = function(name, value, tags) {
+
+    var key = metricKey(name, tags);
+    var histogram = this.histograms[key];
+    if (histogram === undefined) {
+        histogram = { count: 0, sum: 0, min: value, max: value, samples: [] };
+        this.histograms[key] = histogram;
+    }
+
+    histogram.count += 1;
+    histogram.sum += value;
+    histogram.min = Math.min(histogram.min, value);
+    histogram.max = Math.max(histogram.max, value);
+
+    histogram.samples.push(value);
+    if (histogram.samples.length > HISTOGRAM_SAMPLES) {
+        histogram.samples.shift();
+    }
+};
+
+MemoryMetrics.prototype.gauge = function(name, value, tags) {
+
+    this.gauges[metricKey(name, tags)] = value;
+};
+
+/**
+ @function snapshot
+ @memberof MemoryMetrics
+ @instance
+ @description Returns the metrics collected so far.
+
+ @return An object with attributes counters, gauges and histograms, each a map from the name of a metric,
+         followed by its tags in braces (such as operations.sent{kind=pub}), to its value.  The value of a
+         histogram is an object with count, sum, min, max and mean, and p50, p95 and p99, the percentiles
+         of its recent values.
+ */
+MemoryMetrics.prototype.snapshot = function() {
+
+    return {
+        counters: _.clone(this.counters),
+        gauges: _.clone(this.gauges),
+        histograms: _.mapValues(this.histograms, function(histogram) {
+            var sorted = _.sortBy(histogram.samples);
+            return {
+                count: histogram.count,
+                sum: histogram.sum,
+                min: histogram.min,
+                max: histogram.max,
+                mean: histogram.sum / histogram.count,
+                p50: percentile(sorted, 0.5),
+                p95: percentile(sorted, 0.95),
+                p99: percentile(sorted, 0.99)
+            };
+        })
+    };
+};
+
+/**
+ @function reset
+ @memberof MemoryMetrics
+ @instance
+ @description Discards the metrics collected so far.
+ */
+MemoryMetrics.prototype.reset = function() {
+
+    this.counters = {};
+    this.gauges = {};
+    this.histograms = {};
+};
+
+/*
+ Returns hooks that report each metric to every one of hooksList that has the method for it.
+ Errors thrown by the hooks are logged for app.
+ */
+exports.combine = function(hooksList, app) {
+
+    function forward(method) {
+        return function(name) {
+            var args = arguments;
+            _.forEach(hooksList, function(hooks) {
+                if (_.isFunction(hooks[method])) {
+                    try {
+                        hooks[method].apply(hooks, args);
+                    } catch (err) {
+                        logger.error("Metrics hook " + method + " failed for " + name + ": ", err, { app: app });
+                    }
+                }
+            });
+        };
+    }
+
+    return {
+        increment: forward('increment'),
+        observe: forward('observe'),
+        gauge: forward('gauge')
+    };
+};
@@ -0,0 +1,172 @@
+/*
+ * Copyright IBM Corporation 2016
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var url = require('url');
+var ws = require('ws');
+
+var LoopbackServer = require('./loopback').LoopbackServer;
+
+var logger = require('./logger')('mockserver');
+
+// Development flags setup
+logger.enableDebug = (process.env.DEBUG || process.env.DEBUG_MOCKSERVER) ? true : false;
+logger.enableWarning = (process.env.DEBUG || process.env.DEBUG_MOCKSERVER) ? true : false;
+
+/**
+ @class MockServer
+ @classdesc A mock CSync service for local development and testing.  Only available in Node.
+
+ The mock server speaks message version 15 of the CSync protocol over WebSocket, so Apps connect
+ to it with a host and port as they would to the CSync service.  It keeps its store in memory and
+ serves requests with a LoopbackServer (see the Loopback module), so it implements the static ACLs
+ and authenticates users with the demo provider.  It does not support SSL.
+
+ It can be started from the command line with npm run mock-server, on the port in the environment
+ variable CSYNC_PORT (6005 by default).
+
+ @param options - [Optional] A JSON object with attributes host (default 'localhost'),
+                  port (default 6005, 0 for any free port) and authenticate (see LoopbackServer).
+ */
+function MockServer(options) {
+    if (!(this instanceof MockServer)) {
+        return new MockServer(options);
+    }
+
+    options = options || {};
+
+    this.host = options.host || 'localhost';
+    this.port = (options.port !== undefined) ? options.port : 6005;
+
+    /**
+     @property {LoopbackServer} loopback The server that holds the store and answers requests.
+     @memberof MockServer
+     @instance
+     @name loopback
+     */
+    this.loopback = new LoopbackServer(options);
+
+    this.wss = null;
+}
+
+module.exports = MockServer;
+
+/**
+ @function listen
+ @memberof MockServer
+ @instance
+ @description Starts accepting connections.
+
+ @param {function} callback - [Optional] called with an error or null once the server is listening.
+                              The port attribute is then the port the server is listening on.
+ */
+MockServer.prototype.listen = function(callback) {
+
+    var self = this;  // capture this for use in closures
+
+    this.wss = new ws.Server({ host: this.host, port: this.port }, function() {
+        self.port = self.wss._server.address().port;
+        logger.debug("mock CSync server listening on " + self.host + ":" + self.port);
+        if (callback) {
+            callback(null);
+        }
+    });
+
+    this.wss.on('error', function(error) {
+        logger.error("mock CSync server error: " + error);
+        if (callback) {
+            callback(error);
+            callback = null;
+        }
+    });
+
+    this.wss.on('connection', function(socket) {
+        self.handleConnection(socket);
+    });
+};
+
+/**
+ @function close
+ @memberof MockServer
+ @instance
+ @description Closes the connections and stops accepting new ones.
+ */
+MockServer.prototype.close = function() {
+
+    if (this.wss !== null) {
+        this.wss.close();
+        this.wss = null;
+    }
+};
+
+MockServer.prototype.handleConnection = function(socket) {
+
+    var self = this;  // capture this for use in closures
+    var request = url.parse(socket.upgradeReq.url, true);
+
+    // The session of the socket in the LoopbackServer, which pushes data messages to it
+    var client = {
+        push: function(message) {
+            send(socket, message);
+        }
+    };
+
+    if (request.pathname !== '/connect') {
+        logger.warning("rejecting connection to " + request.pathname);
+        socket.close();
+        return;
+    }
+
+    var response = this.loopback.connect(client, request.query);
+    send(socket, response);
+    if (response.kind !== 'connectResponse') {
+        socket.close();
+        return;
+    }
+
+    socket.on('message', function(data) {
+        logger.debug("handling incoming message: " + data);
+
+        var message;
+        try {
+            message = JSON.parse(data);
+        } catch (err) {
+            logger.error("Error parsing inbound message: " + err);
+            return;
+        }
+        send(socket, self.loopback.handle(client, message));
+    });
+
+    socket.on('close', function() {
+        self.loopback.disconnect(client);
+    });
+};
+
+function send(socket, message) {
+    if (socket.readyState === ws.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+if (require.main === module) {
+    var port = (process.env.CSYNC_PORT !== undefined) ? Number(process.env.CSYNC_PORT) : 6005;
+    var server = new MockServer({ host: process.env.CSYNC_HOST, port: port });
+    server.listen(function(error) {
+        if (!error) {
+            logger.info("mock CSync server listening on " + server.host + ":" + server.port);
+        }
+    });
+}
@@ -18,23 +18,39 @@
 var Request = require('./request');
 var _ = require('lodash');
 
+var errors = require('./errors');
+
 var logger = require('./logger')('operation');
 
 // Development flags setup
 logger.enableDebug = (process.env.DEBUG || process.env.DEBUG_OPERATION) ? true : false;
 logger.enableWarning = (process.env.DEBUG || process.env.DEBUG_OPERATION) ? true : false;
 
+// Default policy for resending requests that receive no response.  Timeouts are in millis.
+var RETRY_DEFAULTS = {
+    timeout: 60*1000,       // time to wait for a response before resending the request
+    maxRetries: Infinity,   // number of times the request is resent before the operation fails
+    backoff: 1              // growth factor of the timeout after each resend
+};
+
 function Operation(app) {
 
     this.app = app;
     this.timer = null;
-    this.timeout = 60*1000;  // 60 seconds in millis
+    this.policy = _.clone(app.retryPolicy || RETRY_DEFAULTS);
+    this.timeout = this.policy.timeout;
+    this.retries = 0;
+    this.signal = null;
+    this.abortHandler = null;
     this.callback = null;
     this.started = false;
+    this.oneShot = false;
 }
 
 exports = module.exports = Operation;
 
+exports.RETRY_DEFAULTS = RETRY_DEFAULTS;
+
 exports.pub = function(keyObj) {
 
     var op = new Operation(keyObj.app);
@@ -66,6 +82,21 @@ exports.getAcls = function(app) {
     return op;
 };
 
+/*
+ A createAcl, updateAcl or deleteAcl operation for the ACL with id aclid.
+ For createAcl and updateAcl, grants has the uids granted read, write and create access.
+ */
+exports.changeAcl = function(app, kind, aclid, grants) {
+
+    var op = new Operation(app);
+
+    op.kind = kind;
+    op.aclid = aclid;
+    op.grants = grants;
+
+    return op;
+};
+
 exports.advance = function(keyObj) {
 
     var op = new Operation(keyObj.app);
@@ -76,6 +107,20 @@ exports.advance = function(keyObj) {
     return op;
 };
 
+/*
+ A one-shot advance from the specified rvts, for a read rather than a listener.
+ The response is left in vtsFound, vtsToFetch and rvtsPrime for the caller (see App.readFromServer).
+ */
+exports.readAdvance = function(keyObj, rvts) {
+
+    var op = exports.advance(keyObj);
+
+    op.rvts = rvts;
+    op.oneShot = true;
+
+    return op;
+};
+
 exports.fetch = function(keyObj, vts, rvtsPrime) {
 
     var op = new Operation(keyObj.app);
@@ -88,6 +133,22 @@ exports.fetch = function(keyObj, vts, rvtsPrime) {
     return op;
 };
 
+/* A one-shot fetch for a read, which updates the memoryDB but not the rvts or advance schedule */
+exports.readFetch = function(keyObj, vts) {
+
+    var op = exports.fetch(keyObj, vts);
+
+    op.oneShot = true;
+
+    return op;
+};
+
+/* Returns the error for an operation or call cancelled by its AbortSignal */
+exports.abortError = function(message) {
+
+    return new errors.AbortedError(message);
+};
+
 Operation.prototype.toString = function() {
     if (this.kind === 'pub') {
         return "pub with CTS "+this.cts+" for key \'"+this.keyObj.key+"\'";
@@ -98,6 +159,9 @@ Operation.prototype.toString = function() {
     } else if (this.kind === 'getAcls') {
         return "getAcls";
 
+    } else if (this.kind === 'createAcl' || this.kind === 'updateAcl' || this.kind === 'deleteAcl') {
+        return this.kind+" for ACL \'"+this.aclid+"\'";
+
     } else if (this.kind === 'advance') {
         return "advance for key \'"+this.keyObj.key+"\' with rvts \'"+(this.rvts || "??")+"\'";
 
@@ -110,6 +174,70 @@ Operation.prototype.toString = function() {
     }
 };
 
+/* Return the record persisted for a pub until the server accepts or rejects it */
+Operation.prototype.record = function() {
+
+    var record = {
+        path: this.keyObj.components,
+        data: this.data,
+        deletePath: this.deletePath || false,
+        aclid: this.aclid,
+        cts: this.cts
+    };
+    if (this.condition !== undefined) {
+        record.condition = this.condition;
+    }
+    return record;
+};
+
+/*
+ Overrides the retry policy of the App with any timeout, maxRetries and backoff in options,
+ and sets the AbortSignal that cancels the operation from any signal in options.
+ */
+Operation.prototype.configure = function(options) {
+
+    _.assign(this.policy, _.omitBy(_.pick(options, _.keys(RETRY_DEFAULTS)), _.isUndefined));
+    this.timeout = this.policy.timeout;
+    if (options && options.signal) {
+        this.signal = options.signal;
+    }
+    return this;
+};
+
+/* Aborts the operation when its signal is aborted, while it is in the operation queue */
+Operation.prototype.watchSignal = function() {
+
+    if (this.signal === null) {
+        return;
+    }
+
+    var self = this;  // capture this for use in closures
+
+    this.abortHandler = function() {
+        self.abort();
+    };
+    this.signal.addEventListener('abort', this.abortHandler);
+};
+
+Operation.prototype.abort = function() {
+    logger.debug("abort for operation " + this.toString(), this.logFields());
+
+    if (_.includes(this.app.operationQueue, this)) {
+        this.fail(exports.abortError(this.toString() + " was aborted"));
+    }
+};
+
+/* Returns the attributes of the log records about the operation */
+Operation.prototype.logFields = function() {
+
+    return {
+        app: this.app,
+        kind: this.kind,
+        closure: this.request ? this.request.closure : undefined,
+        key: this.keyObj ? this.keyObj.key : undefined
+    };
+};
+
 Operation.prototype.query = function() {
 
     // TODO: might need different query for advance -- to include aclid 
@@ -124,10 +252,10 @@ Operation.prototype.start = function() {
 
     this.started = true;
 
-    logger.debug("Started "+this.kind+" operation");
-
     this.request = this.createRequest();
 
+    logger.debug("Started "+this.kind+" operation", this.logFields());
+
     this.send();
 };
 
@@ -135,7 +263,7 @@ Operation.prototype.createRequest = function() {
 
     var request = null;
     if (this.kind === 'pub') {
-        request = Request.pub(this.keyObj, this.data, this.deletePath, this.aclid, this.cts);
+        request = Request.pub(this.keyObj, this.data, this.deletePath, this.aclid, this.cts, this.condition);
 
     } else if (this.kind === 'sub') {
         request = this.unsub ? Request.unsub(this.keyObj) : request = Request.sub(this.keyObj);
@@ -143,8 +271,16 @@ Operation.prototype.createRequest = function() {
     } else if (this.kind === 'getAcls') {
         request = Request.getAcls();
 
+    } else if (this.kind === 'createAcl' || this.kind === 'updateAcl') {
+        request = Request[this.kind](this.aclid, this.grants);
+
+    } else if (this.kind === 'deleteAcl') {
+        request = Request.deleteAcl(this.aclid);
+
     } else if (this.kind === 'advance') {
-        this.rvts = this.app.rvtsDict['*.'+this.keyObj.key] || 0;
+        if (this.rvts === undefined) {
+            this.rvts = this.app.rvtsDict['*.'+this.keyObj.key] || 0;
+        }
         request = Request.advance(this.keyObj, this.rvts);
 
     } else if (this.kind === 'fetch') {
@@ -159,36 +295,86 @@ Operation.prototype.send = function() {
 
     if (this.timer !== null) {
         clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    // While disconnected the transport drops the request, which is resent by handleConnect, so
+    // waiting for the connection is not timed out, counted against maxRetries or counted as sent
+    var connected = this.app.transport.connected();
+    if (connected) {
+        this.timer = setTimeout(this.handleTimeout.bind(this), this.timeout);
+        this.app.metrics.increment('operations.sent', 1, { kind: this.kind });
     }
-    this.timer = setTimeout(this.handleTimeout.bind(this), this.timeout);
 
     var self = this;  // capture this for use in closures
+    var sentAt = Date.now();
 
     this.app.transport.send(this.request, function(response, error) {
         clearTimeout(self.timer);
+        self.app.metrics.observe('operations.latency', Date.now() - sentAt, { kind: self.kind });
         self.processResponse(response, error);
         self.finish();
     });
 };
 
 Operation.prototype.handleTimeout = function() {
-    logger.debug("handleTimeout for operation " + this.toString() + " request " + this.request.closure);
+    logger.debug("handleTimeout for operation " + this.toString(), this.logFields());
+
+    this.timer = null;
+
+    // The connection dropped while waiting for the response; the request is resent by handleConnect
+    if (!this.app.transport.connected()) {
+        return;
+    }
+
+    if (this.retries >= this.policy.maxRetries) {
+        this.app.metrics.increment('operations.timeouts', 1, { kind: this.kind });
+        this.fail(new errors.TimeoutError(this.toString() + " timed out after " + (this.retries+1) + " attempts"));
+        return;
+    }
+
+    this.retries += 1;
+    this.timeout = this.timeout * this.policy.backoff;
+    this.app.metrics.increment('operations.retries', 1, { kind: this.kind });
     this.send();
 };
 
+/* Ends the operation with error without waiting any longer for a response */
+Operation.prototype.fail = function(error) {
+
+    if (this.timer !== null) {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+    this.app.transport.cancel(this.request);
+
+    // An operation still waiting in the queue has sent nothing, so has no response to process
+    if (this.started) {
+        this.processResponse(null, error);
+    } else {
+        this.error = error;
+    }
+    this.finish();
+};
+
 Operation.prototype.handleConnect = function() {
-    logger.debug("handleConnect for operation " + this.toString() + " request " + this.request.closure);
+    logger.debug("handleConnect for operation " + this.toString(), this.logFields());
     this.send();
 };
 
 Operation.prototype.processResponse = function(response, error) {
 
-    logger.debug("processResponse for operation " + this.toString() + " request " + this.request.closure);
+    logger.debug("processResponse for operation " + this.toString(), this.logFields());
 
     this.error = error || response.error;
 
     if (this.error) {
-        logger.error(this.toString() + " failed: " + this.error);
+        logger.error(this.toString() + " failed: ", this.error, this.logFields());
+
+        // Keep the advance loop going, at the idle rate
+        if ((this.kind === 'advance' || this.kind === 'fetch') && !this.oneShot) {
+            this.app.scheduler.advanceComplete(this.keyObj, false);
+        }
         return;
     }
 
@@ -203,6 +389,16 @@ Operation.prototype.processResponse = function(response, error) {
     } else if (this.kind === 'getAcls') {
         this.app.acls = response.acls;
 
+    } else if (this.kind === 'createAcl') {
+        if (this.app.acls !== null) {
+            this.app.acls = _.union(this.app.acls, [this.aclid]);
+        }
+
+    } else if (this.kind === 'deleteAcl') {
+        if (this.app.acls !== null) {
+            this.app.acls = _.without(this.app.acls, this.aclid);
+        }
+
     } else if (this.kind === 'advance') {
 
         try {
@@ -224,46 +420,40 @@ Operation.prototype.processResponse = function(response, error) {
             // Compute rvtsPrime
             var rvtsPrime = response.maxvts || _.reduce(response.vts, function (max, val) { return (val>max) ? val : max; }, this.rvts );
 
-            if (vtsToFetch.length > 0) {
+            if (this.oneShot) {
+                this.vtsFound = response.vts;
+                this.vtsToFetch = vtsToFetch;
+                this.rvtsPrime = rvtsPrime;
+            } else if (vtsToFetch.length > 0) {
                 // Fetch missing vts's
                 this.app.addOperation(Operation.fetch(this.keyObj, vtsToFetch, rvtsPrime));
             } else {
-                this.app.rvtsDict['*.'+this.keyObj.key] = rvtsPrime;
-                var delay = 5;    // TODO: make this dynamic
-                setTimeout(function () {
-                    // If any listener is still listening, schedule the fetch or next advance
-                    if (self.app.hasListener(self.keyObj.key)) {
-                        self.app.addOperation(Operation.advance(self.keyObj));
-                    } else {
-                        self.app.advanceScheduled['*.'+self.keyObj.key] = false;
-                    }
-                }, delay*1000);
+                this.app.setRvts('*.'+this.keyObj.key, rvtsPrime);
+                this.app.scheduler.advanceComplete(this.keyObj, response.vts.length > 0);
             }
 
         } catch (err) {
-            logger.error("Error processing advance response: " + err + "\n" + err.stack);
+            logger.error("Error processing advance response: ", err, this.logFields());
         }
 
     } else if (this.kind === 'fetch') {
 
         try {
             // Deliver the updates
+            this.app.metrics.increment('values.received', response.values.length, { source: 'fetch' });
             response.values.forEach(function(value) {
                 self.app.deliverToListeners(value);
             });
 
-            // Set rvts to rvtsPrime
-            this.app.rvtsDict['*.'+this.keyObj.key] = this.rvtsPrime;
+            if (!this.oneShot) {
+                // Set rvts to rvtsPrime
+                this.app.setRvts('*.'+this.keyObj.key, this.rvtsPrime);
 
-            // If any listener is still listening, schedule the next advance
-            if (this.app.hasListener(this.keyObj.key)) {
-                this.app.addOperation(Operation.advance(this.keyObj));
-            } else {
-                this.app.advanceScheduled['*.'+this.keyObj.key] = false;
+                this.app.scheduler.fetchComplete(this.keyObj);
             }
 
         } catch (err) {
-            logger.error("Error processing fetch response: " + err + "\n" + err.stack);
+            logger.error("Error processing fetch response: ", err, this.logFields());
         }
 
     }
@@ -272,7 +462,20 @@ Operation.prototype.processResponse = function(response, error) {
 
 Operation.prototype.finish = function() {
 
-    logger.debug("Operation.finish for " + this.toString());
+    logger.debug("Operation.finish for " + this.toString(), this.logFields());
+
+    if (this.abortHandler !== null) {
+        this.signal.removeEventListener('abort', this.abortHandler);
+        this.abortHandler = null;
+    }
+
+    // Errors from the response or transport do not know the request they are for
+    if (this.error instanceof errors.CSyncError && this.error.kind === null) {
+        this.error.kind = this.kind;
+        this.error.key = this.keyObj ? this.keyObj.key : null;
+    }
+
+    this.app.metrics.increment('operations.completed', 1, { kind: this.kind, outcome: this.error ? 'error' : 'ok' });
 
     if (this.callback !== null) {
         this.callback(this.error);
@@ -0,0 +1,328 @@
+/*
+ * Copyright IBM Corporation 2016
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var _ = require('lodash');
+
+var constants = require('./constants');
+var errors = require('./errors');
+
+// Comparison operators of where, which compare the field of a value with an operand
+var OPERATORS = {
+    '==': function(field, operand) { return _.isEqual(field, operand); },
+    '!=': function(field, operand) { return !_.isEqual(field, operand); },
+    '<': function(field, operand) { return field !== undefined && field < operand; },
+    '<=': function(field, operand) { return field !== undefined && field <= operand; },
+    '>': function(field, operand) { return field !== undefined && field > operand; },
+    '>=': function(field, operand) { return field !== undefined && field >= operand; },
+    'in': function(field, operand) { return _.some(operand, function(item) { return _.isEqual(field, item); }); },
+    'contains': function(field, operand) { return _.isArray(field) && _.some(field, function(item) { return _.isEqual(item, operand); }); }
+};
+
+// Order of the types of fields for orderBy, which orders fields of different types by type
+var TYPE_ORDER = ['null', 'boolean', 'number', 'string', 'array', 'object'];
+
+function typeRank(field) {
+
+    var type = (field === null) ? 'null' : _.isArray(field) ? 'array' : typeof field;
+    return TYPE_ORDER.indexOf(type);
+}
+
+/* Compares two fields by type, then by value; arrays and objects are compared element by element */
+function compareFields(a, b) {
+
+    var rank = typeRank(a);
+    var rankB = typeRank(b);
+    if (rank !== rankB) {
+        return (rank < rankB) ? -1 : 1;
+    }
+
+    var result = 0;
+    if (TYPE_ORDER[rank] === 'array') {
+        for (var i = 0; i < Math.min(a.length, b.length) && result === 0; i++) {
+            result = compareFields(a[i], b[i]);
+        }
+        return (result !== 0) ? result : compareFields(a.length, b.length);
+    }
+    if (TYPE_ORDER[rank] === 'object') {
+        var keys = _.sortBy(_.keys(a));
+        result = compareFields(keys, _.sortBy(_.keys(b)));
+        for (var j = 0; j < keys.length && result === 0; j++) {
+            result = compareFields(a[keys[j]], b[keys[j]]);
+        }
+        return result;
+    }
+
+    return (a < b) ? -1 : (a > b) ? 1 : 0;
+}
+
+/**
+ @class Query
+ @classdesc A filtered, ordered and limited view of the values of the keys matching a key pattern.
+
+ Use the query method of App to construct a Query, then refine it with where, orderBy and limit,
+ which may be chained.  Fields are paths into the JSON data of the values, such as 'score' or
+ 'author.name', or the attributes of the values $key, $vts, $cts and $creator.
+
+ @example
+ app.query("scores.*").where("game", "==", "chess").orderBy("score", "desc").limit(10)
+     .listen(function(error, values) {
+         showLeaderboard(values);
+     });
+
+ @see App
+ */
+function Query(app, pattern) {
+
+    this.app = app;
+    this.keyObj = app.key(pattern);
+
+    this.filters = [];    // Array of {field, op, operand}
+    this.orders = [];     // Array of {field, descending}
+    this.max = Infinity;
+}
+
+module.exports = Query;
+
+/**
+ @function where
+ @memberof Query
+ @instance
+ @description Restricts the query to the values whose field satisfies a comparison.  Values without
+              the field only satisfy '!='.
+
+ @param {string} field - the field to compare
+ @param {string} op - the comparison: '==', '!=', '<', '<=', '>', '>=', 'in' (the field equals
+                      an element of the array value) or 'contains' (the field is an array containing value)
+ @param value - the value the field is compared with
+
+ @return The Query, so calls can be chained.
+ */
+Query.prototype.where = function(field, op, value) {
+
+    if (OPERATORS[op] === undefined) {
+        throw new errors.CSyncError("Unknown query operator " + op, constants.InvalidRequest, { key: this.keyObj.key });
+    }
+    if (op === 'in' && !_.isArray(value)) {
+        throw new errors.CSyncError("The operand of 'in' must be an array", constants.InvalidRequest, { key: this.keyObj.key });
+    }
+
+    this.filters.push({ field: field, op: op, operand: value });
+    return this;
+};
+
+/**
+ @function orderBy
+ @memberof Query
+ @instance
+ @description Orders the values by a field.  Further calls order the values with equal fields.
+              Fields of different types are ordered by type: null, booleans, numbers, strings, arrays,
+              then objects.  Values without the field come last, and values that are otherwise equal
+              are ordered by key.
+
+ @param {string} field - the field to order by
+ @param {string} direction - [Optional] 'asc' (the default) or 'desc'
+
+ @return The Query, so calls can be chained.
+ */
+Query.prototype.orderBy = function(field, direction) {
+
+    if (direction !== undefined && direction !== 'asc' && direction !== 'desc') {
+        throw new errors.CSyncError("Unknown order direction " + direction, constants.InvalidRequest, { key: this.keyObj.key });
+    }
+
+    this.orders.push({ field: field, descending: (direction === 'desc') });
+    return this;
+};
+
+/**
+ @function limit
+ @memberof Query
+ @instance
+ @description Limits the query to the first n values, in the order of the query.
+
+ @param {int} n - the maximum number of values
+
+ @return The Query, so calls can be chained.
+ */
+Query.prototype.limit = function(n) {
+
+    this.max = n;
+    return this;
+};
+
+/**
+ @function read
+ @memberof Query
+ @instance
+ @description Reads the values of the query once (see the read method of Key).
+
+ @param options - [Optional] options for the read, as for the read method of Key
+
+ @return a promise that is fulfilled with the array of Values of the query
+ */
+Query.prototype.read = function(options) {
+
+    var self = this;  // capture this for use in closures
+
+    return this.keyObj.read(options).then(function(values) {
+        values = _.isArray(values) ? values : _.compact([values]);
+        return _.take(_.filter(values, function(value) {
+            return self.includes(value);
+        }).sort(function(a, b) {
+            return self.compare(a, b);
+        }), self.max);
+    });
+};
+
+/**
+ @function listen
+ @memberof Query
+ @instance
+ @description Listens to the values of the query.
+
+ The listener is called with the array of Values of the query once the values cached by the App have
+ been delivered, and again whenever the array changes, as values are written, deleted or changed so
+ that they enter or leave the query or move within it.  The array of each call is a new array.
+
+ @param {function} listener - called with an error, or null, and the array of Values of the query
+
+ @return a function that removes the listener
+ */
+Query.prototype.listen = function(listener) {
+
+    var self = this;  // capture this for use in closures
+
+    var matching = [];      // Values of the keys that satisfy the filters, in the order of the query
+    var results = null;     // The first max of matching, as last passed to the listener
+    var scheduled = false;
+    var stopped = false;
+
+    // Values delivered together, such as by a fetch, are reported in one call
+    function schedule() {
+        if (scheduled) {
+            return;
+        }
+        scheduled = true;
+        process.nextTick(function() {
+            scheduled = false;
+            if (stopped) {
+                return;
+            }
+            var top = _.take(matching, self.max);
+            if (results === null || top.length !== results.length ||
+                _.some(top, function(value, i) { return value !== results[i]; })) {
+                results = top;
+                listener(null, _.clone(results));
+            }
+        });
+    }
+
+    var unsubscribe = this.keyObj.listen(function(error, value) {
+        if (error) {
+            listener(error, null);
+            return;
+        }
+
+        var index = _.findIndex(matching, { key: value.key });
+        if (index >= 0) {
+            matching.splice(index, 1);
+        }
+        var position = -1;
+        if (self.includes(value)) {
+            position = self.position(matching, value);
+            matching.splice(position, 0, value);
+        }
+
+        // Changes beyond the limit do not change the results
+        if ((index >= 0 && index < self.max) || (position >= 0 && position < self.max)) {
+            schedule();
+        }
+    });
+
+    // The values in the cache are delivered before this first call
+    if (this.keyObj.error() === null) {
+        schedule();
+    }
+
+    return function() {
+        stopped = true;
+        unsubscribe();
+    };
+};
+
+// MARK - Query private methods
+
+/* Returns the field of value */
+Query.prototype.field = function(value, field) {
+
+    if (field.charAt(0) === '$') {
+        return value[field.substring(1)];
+    }
+    return _.get(value.data, field);
+};
+
+/* Returns whether value exists and satisfies the filters */
+Query.prototype.includes = function(value) {
+
+    var self = this;  // capture this for use in closures
+
+    return value.exists && _.every(this.filters, function(filter) {
+        return OPERATORS[filter.op](self.field(value, filter.field), filter.operand);
+    });
+};
+
+/* Compares two values in the order of the query */
+Query.prototype.compare = function(a, b) {
+
+    for (var i = 0; i < this.orders.length; i++) {
+        var order = this.orders[i];
+        var fieldA = this.field(a, order.field);
+        var fieldB = this.field(b, order.field);
+
+        if (fieldA === fieldB) {
+            continue;
+        }
+        if (fieldA === undefined) {
+            return 1;
+        }
+        if (fieldB === undefined) {
+            return -1;
+        }
+        var result = compareFields(fieldA, fieldB);
+        if (result !== 0) {
+            return order.descending ? -result : result;
+        }
+    }
+
+    return (a.key < b.key) ? -1 : (a.key > b.key) ? 1 : 0;
+};
+
+/* Returns the index at which value is inserted into the ordered array values */
+Query.prototype.position = function(values, value) {
+
+    var low = 0;
+    var high = values.length;
+    while (low < high) {
+        var middle = Math.floor((low + high) / 2);
+        if (this.compare(values[middle], value) < 0) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+};
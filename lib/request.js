@@ -26,7 +26,7 @@ function Request(kind) {
     this.closure = uuid.v4();
 }
 
-function pub(keyObj, data, deletePath, aclid, cts) {
+function pub(keyObj, data, deletePath, aclid, cts, condition) {
 
     var req = new Request("pub");
 
@@ -44,6 +44,16 @@ function pub(keyObj, data, deletePath, aclid, cts) {
         req.payload.assumeACL = aclid;
     }
 
+    // The state the entry must be in for the service to apply the write
+    if (condition !== undefined) {
+        if (condition.ifVts !== undefined) {
+            req.payload.ifVts = condition.ifVts;
+        }
+        if (condition.ifNotExists) {
+            req.payload.ifNotExists = true;
+        }
+    }
+
     return req;
 }
 
@@ -78,6 +88,42 @@ function getAcls() {
     return req;
 }
 
+/* A createAcl or updateAcl request, granting the uids in grants read, write and create access */
+function aclGrants(kind, aclid, grants) {
+
+    var req = new Request(kind);
+
+    req.payload = {
+        aclid: aclid,
+        read: grants.read || [],
+        write: grants.write || [],
+        create: grants.create || []
+    };
+
+    return req;
+}
+
+function createAcl(aclid, grants) {
+
+    return aclGrants("createAcl", aclid, grants);
+}
+
+function updateAcl(aclid, grants) {
+
+    return aclGrants("updateAcl", aclid, grants);
+}
+
+function deleteAcl(aclid) {
+
+    var req = new Request("deleteAcl");
+
+    req.payload = {
+        aclid: aclid
+    };
+
+    return req;
+}
+
 function advance(keyObj, rvts) {
 
     var req = new Request("advance");
@@ -106,6 +152,9 @@ module.exports = {
     sub: sub,
     unsub: unsub,
     getAcls: getAcls,
+    createAcl: createAcl,
+    updateAcl: updateAcl,
+    deleteAcl: deleteAcl,
     advance: advance,
     fetch: fetch
 };
@@ -18,6 +18,7 @@
 var _ = require('lodash');
 
 var constants = require('./constants');
+var errors = require('./errors');
 var Value = require('./value');
 
 var logger = require('./logger')('response');
@@ -55,7 +56,7 @@ function Response(app, data) {
         this.parsePayload();
 
     } catch (err) {
-        logger.error("Error parsing inbound message: ", err);
+        logger.error("Error parsing inbound message: ", err, { app: this.app });
         return null;
     }
 
@@ -67,13 +68,13 @@ Response.prototype.parsePayload = function() {
         var code = this.payload.code;
         if (code !== 0) {
             var msg = this.payload.msg + ". Code(" + code +")";
-            this.error = new Error(msg);
-            this.error.code = constants.RequestError;
+            this.error = errors.fromServer(code, msg);
         }
 
     } else if (this.kind === 'error') {
-        this.error = new Error(this.payload.msg);
-        this.error.code = constants.InternalError;
+        // An error without a closure sent in place of the connectResponse rejects the credentials of the connection
+        var errorCode = (this.closure === null) ? constants.AuthenticationFailed : constants.InternalError;
+        this.error = errors.create(errorCode, this.payload.msg);
 
     } else if (this.kind === 'data') {
         this.values = [ new Value(this.payload) ];
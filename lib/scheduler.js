@@ -0,0 +1,224 @@
+/*
+ * Copyright IBM Corporation 2016
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var _ = require('lodash');
+
+var Operation = require('./operation');
+
+var logger = require('./logger')('scheduler');
+
+// Development flags setup
+logger.enableDebug = (process.env.DEBUG || process.env.DEBUG_SCHEDULER) ? true : false;
+logger.enableWarning = (process.env.DEBUG || process.env.DEBUG_SCHEDULER) ? true : false;
+
+// Default policy for polling with advance.  Delays are in millis.
+var ADVANCE_DEFAULTS = {
+    minDelay: 5*1000,       // delay between advances while changes are flowing
+    maxDelay: 30*1000,      // upper bound on the delay between advances while idle
+    multiplier: 2           // growth factor of the delay after each advance with no changes
+};
+
+/*
+ Schedules the advance operations that keep the memoryDB up to date for listened key patterns.
+
+ Each key pattern the App polls for (see App.advances) has a loop of advance (and fetch) operations.  The delay between
+ advances adapts to the flow of changes: it drops to minDelay when an advance finds changes and
+ grows by multiplier, up to maxDelay, when it does not.  A data message from the server for a key
+ matching the pattern triggers the next advance immediately.
+
+ Advances for a key pattern are coalesced with those of a broader pattern that subsumes it: while the
+ loop of the broader pattern is running, it delivers every value the narrower pattern needs, so the
+ loop of the narrower pattern pauses.  It resumes, from the rvts of the broader pattern, when the
+ loop of the broader pattern ends.
+ */
+function Scheduler(app, options) {
+
+    this.app = app;
+    this.policy = _.defaults({}, options, ADVANCE_DEFAULTS);
+
+    // Map from acl+key to the advance loop state of a key pattern
+    this.loops = {};
+}
+
+module.exports = Scheduler;
+
+/* Returns the advance loop state for the key pattern of keyObj, creating it if needed */
+Scheduler.prototype.loop = function(keyObj) {
+
+    var aclKey = '*.' + keyObj.key;
+    var loop = this.loops[aclKey];
+    if (loop === undefined) {
+        loop = { aclKey: aclKey, keyObj: keyObj, scheduled: false, timer: null,
+                 delay: this.policy.minDelay, coveredBy: null };
+        this.loops[aclKey] = loop;
+    }
+    return loop;
+};
+
+/* Starts the advance loop for the key pattern of keyObj, unless it is already running */
+Scheduler.prototype.start = function(keyObj) {
+    logger.debug("Starting advance for "+keyObj.key, { app: this.app });
+
+    var loop = this.loop(keyObj);
+    if (loop.scheduled) {
+        return;
+    }
+    loop.scheduled = true;
+    loop.keyObj = keyObj;
+    loop.delay = this.policy.minDelay;
+
+    // Wait for the cache to load so the advance resumes from the stored rvts
+    var self = this;  // capture this for use in closures
+    this.app.cacheReady.then(function() {
+        self.advance(loop);
+    });
+};
+
+/*
+ Called when an advance completes without needing a fetch.  Changed indicates whether the
+ advance returned any vts, which resets the delay, otherwise the delay grows.
+ */
+Scheduler.prototype.advanceComplete = function(keyObj, changed) {
+
+    // The loop may have been stopped while the request was in flight
+    var loop = this.loops['*.' + keyObj.key];
+    if (loop === undefined || !loop.scheduled) {
+        return;
+    }
+    if (changed) {
+        loop.delay = this.policy.minDelay;
+        this.schedule(loop, loop.delay);
+    } else {
+        this.schedule(loop, loop.delay);
+        loop.delay = Math.min(this.policy.maxDelay, loop.delay * this.policy.multiplier);
+    }
+};
+
+/* Called when the fetch following an advance completes; there may be more changes, so advance again now */
+Scheduler.prototype.fetchComplete = function(keyObj) {
+
+    // The loop may have been stopped while the request was in flight
+    var loop = this.loops['*.' + keyObj.key];
+    if (loop === undefined || !loop.scheduled) {
+        return;
+    }
+    loop.delay = this.policy.minDelay;
+    this.schedule(loop, 0);
+};
+
+/* Ends the advance loop for the key pattern of keyObj, once nobody is listening to it any more */
+Scheduler.prototype.stop = function(keyObj) {
+
+    var loop = this.loops['*.' + keyObj.key];
+    if (loop === undefined) {
+        return;
+    }
+    logger.debug("Stopping advance for "+keyObj.key, { app: this.app });
+
+    if (loop.timer !== null) {
+        clearTimeout(loop.timer);
+        loop.timer = null;
+    }
+    delete this.loops[loop.aclKey];
+    if (loop.scheduled) {
+        loop.scheduled = false;
+        this.resumeCovered(loop);
+    }
+};
+
+/* Called when a value for key is pushed by the server, to advance now any pattern matching it */
+Scheduler.prototype.trigger = function(key) {
+
+    var self = this;  // capture this for use in closures
+
+    _.forEach(this.loops, function(loop) {
+        if (loop.timer !== null && loop.keyObj.matches(key)) {
+            loop.delay = self.policy.minDelay;
+            self.schedule(loop, 0);
+        }
+    });
+};
+
+Scheduler.prototype.schedule = function(loop, delay) {
+
+    logger.debug("Next advance for " + loop.keyObj.key + " in " + delay + " ms", { app: this.app });
+
+    var self = this;  // capture this for use in closures
+
+    if (loop.timer !== null) {
+        clearTimeout(loop.timer);
+    }
+    loop.timer = setTimeout(function() {
+        loop.timer = null;
+        self.advance(loop);
+    }, delay);
+};
+
+/*
+ Adds the next advance operation of the loop, pauses the loop if it is covered by the loop of a
+ broader pattern, or ends the loop if the App no longer polls for its pattern.
+ */
+Scheduler.prototype.advance = function(loop) {
+
+    if (!this.app.advances(loop.keyObj.key) || this.app.queueDraining) {
+        loop.scheduled = false;
+        this.resumeCovered(loop);
+        return;
+    }
+
+    var cover = this.coveringLoop(loop);
+    if (cover !== undefined) {
+        logger.debug("Advance for " + loop.keyObj.key + " coalesced with " + cover.keyObj.key, { app: this.app });
+        loop.scheduled = false;
+        loop.coveredBy = cover;
+        return;
+    }
+
+    this.app.addOperation(Operation.advance(loop.keyObj));
+};
+
+/* Returns the running loop of a polled pattern that subsumes the pattern of loop, if there is one */
+Scheduler.prototype.coveringLoop = function(loop) {
+
+    var app = this.app;
+
+    return _.find(this.loops, function(other) {
+        return other !== loop && other.scheduled && app.advances(other.keyObj.key) &&
+            other.keyObj.subsumes(loop.keyObj) && !loop.keyObj.subsumes(other.keyObj);
+    });
+};
+
+/* Restarts the loops paused while covered by a loop that has ended */
+Scheduler.prototype.resumeCovered = function(loop) {
+
+    var self = this;  // capture this for use in closures
+
+    _.forEach(this.loops, function(other) {
+        if (other.coveredBy !== loop) {
+            return;
+        }
+        other.coveredBy = null;
+
+        // Everything up to the rvts of the covering pattern has been delivered for the covered pattern
+        var rvts = self.app.rvtsDict[loop.aclKey] || 0;
+        if (rvts > (self.app.rvtsDict[other.aclKey] || 0)) {
+            self.app.setRvts(other.aclKey, rvts);
+        }
+
+        self.start(other.keyObj);
+    });
+};
@@ -0,0 +1,708 @@
+/*
+ * Copyright IBM Corporation 2016
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+/* global BroadcastChannel, navigator */
+
+var _ = require('lodash');
+var uuid = require('node-uuid');
+var when = require('when');
+
+var errors = require('./errors');
+var Request = require('./request');
+var Response = require('./response');
+var Transport = require('./transport');
+var Value = require('./value');
+
+var logger = require('./logger')('shared');
+
+// Development flags setup
+logger.enableDebug = (process.env.DEBUG || process.env.DEBUG_SHARED) ? true : false;
+logger.enableWarning = (process.env.DEBUG || process.env.DEBUG_SHARED) ? true : false;
+
+// Default policy for sharing a session.  Delays are in millis.
+var SHARE_DEFAULTS = {
+    name: 'csync',          // name of the BroadcastChannel shared by the Apps
+    heartbeat: 1000,        // delay between the heartbeats of the leader
+    timeout: 3000           // time without a heartbeat after which the leader is presumed gone
+};
+
+/*
+ SharedTransport -- a transport that shares one connection to the CSync service between the Apps of
+ several browser tabs (or workers) of the same origin.
+
+ The Apps elect a leader, which owns the WebSocket connection.  The others are followers: they send
+ their requests to the leader over a BroadcastChannel, and the leader relays the responses, and the
+ values pushed by the service, to them.  The leader counts the Apps listening to each pattern, as
+ the service keeps a single subscription per pattern for the connection.  Only the leader polls the
+ service with advance, for the patterns that any of the Apps listen to.
+
+ The memoryDB of the leader holds every value received over the shared connection.  A follower is
+ given a copy of it when it joins the session, and the values fetched for any App are passed to all
+ of them, so every App caches the same values.
+
+ The tab that holds a Web Lock named after the channel is the leader where navigator.locks exists,
+ and the lock passes to another tab when the leader closes.  Elsewhere the leader sends heartbeats,
+ and a follower that has not heard one for the timeout takes over.  Should two followers take over
+ at once, the one with the greater id steps down when it hears the heartbeat of the other.
+ The new leader starts a new session, so each App subscribes again to its patterns once it has
+ joined it, and the new leader takes over the polling.
+
+ All the tabs share the session of the leader, and so the user it authenticated: credentials other
+ than those the session was started with are rejected with an AuthError.
+
+ close() ends the part of the App in the election, and is called by App.close.
+ */
+function SharedTransport(app, host, port, options) {
+
+    options = options || {};
+
+    this.app = app;
+    this.host = host;
+    this.port = port;
+    this.options = options;
+
+    this.policy = _.defaults({}, _.isObject(options.shareSession) ? options.shareSession : {}, SHARE_DEFAULTS);
+
+    this.authProvider = null;
+    this.token = null;
+
+    this.sessionId = null;
+    this.useSSL = true;
+
+    this.id = uuid.v4();
+    this.leaderId = null;
+    this.lastHeartbeat = Date.now();
+    this.useLocks = (typeof navigator !== 'undefined' && navigator.locks !== undefined);
+    this.releaseLock = null;
+
+    // While leader, the transport of the shared connection, the followers waiting for its session,
+    // and the path and subscribers (App ids) of each pattern subscribed over it
+    this.inner = null;
+    this.sessionInfo = null;
+    this.sessionWaiters = null;
+    this.subscriptions = {};
+
+    // The path of each pattern this App is subscribed to, to subscribe again over the session of a new leader
+    this.patterns = {};
+
+    // While follower, whether the leader has a session, and the callbacks for requests sent to it
+    this.isConnected = false;
+    this.callbacks = {};
+    this.connectCallback = null;
+
+    // The shared connection is a Transport to the CSync service, so it has the same features
+    this.features = {};
+
+    var self = this;  // capture this for use in closures
+
+    this.channel = new BroadcastChannel(this.policy.name);
+    this.channel.onmessage = function(event) {
+        self.handleMessage(event.data);
+    };
+
+    this.elect();
+}
+
+module.exports = SharedTransport;
+
+/*
+ Starts a session.  The leader connects, unless it already has a session, and a follower
+ joins the session of the leader.
+ */
+SharedTransport.prototype.startSession = function(callback) {
+
+    // For now, we simply return if a session is active
+    if (this.sessionId !== null) {
+        callback(null, null);
+        return;
+    }
+
+    this.sessionId = uuid.v4();
+
+    // A session that could not be started does not stand in the way of the next attempt
+    var self = this;  // capture this for use in closures
+    var started = function(error, sessionInfo) {
+        if (error) {
+            self.sessionId = null;
+        }
+        callback(error, sessionInfo);
+    };
+
+    // The callback waits in connectCallback whatever the role, so it survives a change of leader
+    this.connectCallback = started;
+    if (this.isLeader()) {
+        this.openOwnSession();
+    } else {
+        this.app.setConnectionState('connecting');
+        this.joinSession();
+    }
+};
+
+/*
+ Renews the session with the current credentials.  Only the leader reconnects; a follower
+ rejoins the session of the leader, which renews its own credentials.
+ */
+SharedTransport.prototype.renewSession = function(callback) {
+
+    this.connectCallback = callback;
+    if (this.isLeader()) {
+        var self = this;  // capture this for use in closures
+        this.inner.token = this.token;
+        this.inner.renewSession(function(error, sessionInfo) {
+            if (!error) {
+                self.sessionInfo = sessionInfo;
+            }
+            self.answerConnect(error, sessionInfo);
+        });
+    } else {
+        this.joinSession();
+    }
+};
+
+/*
+ Ends the session.  When the leader ends its session the shared connection is closed, and the
+ followers are disconnected until one of them starts a session again.
+ */
+SharedTransport.prototype.endSession = function() {
+
+    this.sessionId = null;
+    this.connectCallback = null;
+
+    if (this.isLeader()) {
+        this.sessionInfo = null;
+        this.inner.endSession();
+    } else {
+        this.isConnected = false;
+        this.app.setConnectionState('disconnected');
+    }
+};
+
+SharedTransport.prototype.connected = function() {
+
+    return this.isLeader() ? this.inner.connected() : this.isConnected;
+};
+
+SharedTransport.prototype.send = function(request, callback) {
+
+    if (this.isLeader()) {
+        this.recordPattern(request);
+        this.sendShared(this.id, request, callback);
+        return;
+    }
+
+    // As with the WebSocket transport, a request made while disconnected is resent by its
+    // operation when the connection is established (see App.handleConnect).
+    if (!this.isConnected) {
+        return;
+    }
+
+    var message = request.message();
+    if (message === null) {
+        if (callback !== undefined) {
+            callback(request.error);
+        }
+        return;
+    }
+
+    this.recordPattern(request);
+    if (callback !== undefined) {
+        this.callbacks[request.closure] = callback;
+    }
+    this.post({ type: 'request', closure: request.closure, message: message });
+};
+
+SharedTransport.prototype.cancel = function(request) {
+
+    if (this.isLeader()) {
+        this.inner.cancel(request);
+    } else if (request !== undefined) {
+        delete this.callbacks[request.closure];
+    }
+};
+
+/*
+ Stops taking part in the election and closes the channel, ending the shared connection if this is
+ the leader.  The App can no longer connect afterwards.
+ */
+SharedTransport.prototype.close = function() {
+
+    clearInterval(this.timer);
+    this.sessionId = null;
+    if (this.isLeader()) {
+        this.sessionInfo = null;
+        this.inner.endSession();
+    } else {
+        // The leader drops the subscriptions of this App
+        this.isConnected = false;
+        this.connectCallback = null;
+        this.post({ type: 'bye' });
+    }
+    if (this.releaseLock !== null) {
+        this.releaseLock();
+    }
+    this.channel.close();
+};
+
+SharedTransport.prototype.isLeader = function() {
+
+    return this.inner !== null;
+};
+
+/* Only the leader polls, for the patterns that it or any follower listens to */
+SharedTransport.prototype.advances = function(key) {
+
+    if (!this.isLeader()) {
+        return false;
+    }
+    var subscription = this.subscriptions[key];
+    return this.app.hasListener(key) || (subscription !== undefined && _.without(subscription.subscribers, this.id).length > 0);
+};
+
+// MARK - SharedTransport private methods
+
+SharedTransport.prototype.elect = function() {
+
+    var self = this;  // capture this for use in closures
+
+    if (this.useLocks) {
+        // The lock is held until released by close, or the tab is closed
+        navigator.locks.request(this.policy.name, function() {
+            self.becomeLeader();
+            return when.promise(function(resolve) {
+                self.releaseLock = resolve;
+            });
+        });
+    }
+
+    this.timer = setInterval(function() {
+        self.tick();
+    }, this.policy.heartbeat);
+
+    // Ask the leader, if there is one, to make itself known
+    this.post({ type: 'hello' });
+};
+
+SharedTransport.prototype.tick = function() {
+
+    if (this.isLeader()) {
+        this.post({ type: 'heartbeat' });
+    } else if (!this.useLocks && Date.now() - this.lastHeartbeat > this.policy.timeout) {
+        this.becomeLeader();
+    }
+};
+
+SharedTransport.prototype.becomeLeader = function() {
+    logger.debug("becoming leader " + this.id, { app: this.app });
+
+    this.leaderId = this.id;
+    this.isConnected = false;
+    this.callbacks = {};
+    this.subscriptions = {};
+
+    this.inner = new Transport(this.leaderApp(), this.host, this.port, this.options);
+    this.inner.useSSL = this.useSSL;
+    this.post({ type: 'heartbeat' });
+
+    var self = this;  // capture this for use in closures
+
+    // Take over the session this App had joined, or was waiting to join, and its subscriptions
+    if (this.sessionId !== null) {
+        this.openOwnSession(function() {
+            self.resubscribe();
+        });
+    }
+
+    // Take over the polling for the patterns this App listens to
+    _.forEach(this.app.listeners, function(keyObj) {
+        self.app.startAdvance(keyObj);
+    });
+};
+
+SharedTransport.prototype.stepDown = function() {
+    logger.debug("leader " + this.id + " stepping down for " + this.leaderId, { app: this.app });
+
+    // The followers waiting for the session ask the new leader once they hear it, and the
+    // connectCallback of this App, if any, is answered by the session it joins
+    var inner = this.inner;
+    this.inner = null;
+    this.sessionInfo = null;
+    this.sessionWaiters = null;
+    this.subscriptions = {};
+
+    inner.app = { setConnectionState: _.noop, handleConnect: _.noop, handleData: _.noop, handleAuthError: _.noop };
+    inner.endSession();
+
+    if (this.sessionId !== null) {
+        this.app.setConnectionState('connecting');
+        this.joinSession();
+    }
+};
+
+/*
+ Returns the object the transport of the shared connection reports to, which relays its
+ reports to the App and the followers.
+ */
+SharedTransport.prototype.leaderApp = function() {
+
+    var self = this;  // capture this for use in closures
+
+    return {
+        metrics: this.app.metrics,
+        logger: this.app.logger,
+        logLevel: this.app.logLevel,
+        setConnectionState: function(state, error) {
+            self.post({ type: 'state', state: state });
+            self.app.setConnectionState(state, error);
+        },
+        handleConnect: function() {
+            self.app.handleConnect();
+        },
+        handleData: function(value) {
+            self.post({ type: 'data', payload: value.record() });
+            self.app.handleData(value);
+        },
+        handleAuthError: function(error) {
+            self.app.handleAuthError(error);
+        }
+    };
+};
+
+/*
+ Opens the session of the shared connection with the credentials of this App, answers its connectCallback,
+ and calls opened, if given, once the session is open
+ */
+SharedTransport.prototype.openOwnSession = function(opened) {
+
+    var self = this;  // capture this for use in closures
+
+    this.openSession(this.authProvider, this.token, function(error, sessionInfo) {
+        self.answerConnect(error, sessionInfo);
+        if (!error && opened !== undefined) {
+            opened();
+        }
+    });
+};
+
+/* Calls the callback waiting for the session of this App, if there is one */
+SharedTransport.prototype.answerConnect = function(error, sessionInfo) {
+
+    var callback = this.connectCallback;
+    this.connectCallback = null;
+    if (callback !== null) {
+        callback(error, sessionInfo);
+    }
+};
+
+/* Starts the session of the shared connection, unless it has one, and calls callback once it is open */
+SharedTransport.prototype.openSession = function(authProvider, token, callback) {
+
+    var opened = (this.sessionInfo !== null || this.sessionWaiters !== null);
+    if (opened && (authProvider !== this.inner.authProvider || token !== this.inner.token)) {
+        callback(new errors.AuthError("The credentials differ from those of the shared session"));
+        return;
+    }
+
+    if (this.sessionInfo !== null) {
+        callback(null, this.sessionInfo);
+        return;
+    }
+    if (this.sessionWaiters !== null) {
+        this.sessionWaiters.push(callback);
+        return;
+    }
+
+    var self = this;  // capture this for use in closures
+
+    this.sessionWaiters = [callback];
+    this.inner.authProvider = authProvider;
+    this.inner.token = token;
+    this.inner.startSession(function(error, sessionInfo) {
+        var waiters = self.sessionWaiters || [];
+        self.sessionWaiters = null;
+        if (error) {
+            self.inner.sessionId = null;
+        } else {
+            self.sessionInfo = sessionInfo;
+        }
+        _.forEach(waiters, function(waiter) {
+            waiter(error, sessionInfo);
+        });
+    });
+};
+
+/*
+ Sends a request of the App with id subscriber, this one or a follower, over the shared connection.
+ A sub is only sent for the first subscriber of a pattern and an unsub for the last; the others are
+ answered by the leader, which polls for the pattern while any App listens to it.  The values of a
+ fetch are passed to every App.
+ */
+SharedTransport.prototype.sendShared = function(subscriber, request, callback) {
+
+    var self = this;  // capture this for use in closures
+
+    if (request.kind === 'sub' || request.kind === 'unsub') {
+        var pattern = request.payload.path.join('.');
+        var subscription = this.subscriptions[pattern] || { path: request.payload.path, subscribers: [] };
+        var others = _.without(subscription.subscribers, subscriber);
+
+        subscription.subscribers = (request.kind === 'sub') ? others.concat(subscriber) : others;
+        if (subscription.subscribers.length > 0) {
+            this.subscriptions[pattern] = subscription;
+        } else {
+            delete this.subscriptions[pattern];
+        }
+        this.updateAdvance(subscription.path);
+
+        if (others.length > 0) {
+            if (callback !== undefined) {
+                var data = { version: request.version, kind: 'happy', closure: request.closure, payload: { code: 0, msg: "OK" } };
+                callback(new Response(this.app, JSON.stringify(data)), null);
+            }
+            return;
+        }
+    }
+
+    this.inner.send(request, function(response, error) {
+        if (_.get(response, 'kind') === 'fetchResponse') {
+            self.shareValues(subscriber, response.values);
+        }
+        if (callback !== undefined) {
+            callback(response, error);
+        }
+    });
+};
+
+/* Drops the subscriptions of a follower that has closed, unsubscribing from the patterns it was the last to listen to */
+SharedTransport.prototype.dropSubscriber = function(subscriber) {
+
+    var self = this;  // capture this for use in closures
+
+    _.forEach(_.keys(this.subscriptions), function(pattern) {
+        var subscription = self.subscriptions[pattern];
+        subscription.subscribers = _.without(subscription.subscribers, subscriber);
+        if (subscription.subscribers.length === 0) {
+            delete self.subscriptions[pattern];
+            self.inner.send(Request.unsub({ components: subscription.path }));
+        }
+        self.updateAdvance(subscription.path);
+    });
+};
+
+/* Starts or stops the polling of the leader for a pattern, as the Apps listening to it come and go */
+SharedTransport.prototype.updateAdvance = function(path) {
+
+    var keyObj = this.app.key(path);
+    if (this.advances(keyObj.key)) {
+        this.app.startAdvance(keyObj);
+    } else {
+        this.app.scheduler.stop(keyObj);
+    }
+};
+
+/* Keeps track of the patterns this App subscribes to, from the sub and unsub requests it sends */
+SharedTransport.prototype.recordPattern = function(request) {
+
+    if (request.kind === 'sub') {
+        this.patterns[request.payload.path.join('.')] = request.payload.path;
+    } else if (request.kind === 'unsub') {
+        delete this.patterns[request.payload.path.join('.')];
+    }
+};
+
+/* Subscribes again to the patterns of this App, over the session of a new leader */
+SharedTransport.prototype.resubscribe = function() {
+
+    var self = this;  // capture this for use in closures
+
+    _.forEach(this.patterns, function(path) {
+        self.send(Request.sub({ components: path }));
+    });
+};
+
+/* Caches the values fetched for the App with id subscriber in the leader, and passes them to the followers */
+SharedTransport.prototype.shareValues = function(subscriber, values) {
+
+    var self = this;  // capture this for use in closures
+
+    if (subscriber !== this.id) {
+        _.forEach(values, function(value) {
+            self.app.deliverToListeners(value);
+        });
+    }
+    this.post({ type: 'values', payload: _.invokeMap(values, 'record') });
+};
+
+/* Asks the leader, once there is one, for its session */
+SharedTransport.prototype.joinSession = function() {
+
+    if (this.leaderId !== null) {
+        this.post({ type: 'session', authProvider: this.authProvider, token: this.token });
+    }
+};
+
+SharedTransport.prototype.post = function(message) {
+
+    message.from = this.id;
+    this.channel.postMessage(message);
+};
+
+SharedTransport.prototype.handleMessage = function(message) {
+
+    if (message.to !== undefined && message.to !== this.id) {
+        return;
+    }
+
+    if (message.type === 'hello') {
+        if (this.isLeader()) {
+            this.post({ type: 'heartbeat' });
+        }
+    } else if (message.type === 'heartbeat') {
+        this.handleHeartbeat(message.from);
+    } else if (this.isLeader()) {
+        this.handleFollowerMessage(message);
+    } else if (message.from === this.leaderId) {
+        this.handleLeaderMessage(message);
+    }
+};
+
+SharedTransport.prototype.handleHeartbeat = function(leaderId) {
+
+    this.lastHeartbeat = Date.now();
+    if (leaderId === this.leaderId) {
+        return;
+    }
+
+    if (this.isLeader()) {
+        if (leaderId > this.id) {
+            return;
+        }
+        this.leaderId = leaderId;
+        this.stepDown();
+        return;
+    }
+
+    // A new leader: requests sent to the previous one are resent once the session is joined
+    this.leaderId = leaderId;
+    this.isConnected = false;
+    this.callbacks = {};
+    if (this.sessionId !== null) {
+        this.app.setConnectionState('reconnecting');
+        this.joinSession();
+    }
+};
+
+SharedTransport.prototype.handleFollowerMessage = function(message) {
+
+    var self = this;  // capture this for use in closures
+    var follower = message.from;
+
+    if (message.type === 'session') {
+        this.openSession(message.authProvider, message.token, function(error, sessionInfo) {
+            var reason = error ? { msg: error.message, code: error.code } : null;
+            self.post({ type: 'session', to: follower, error: reason, sessionInfo: sessionInfo });
+            if (!error) {
+                self.post({ type: 'values', to: follower, payload: _.invokeMap(_.values(self.app.memoryDB), 'record') });
+            }
+        });
+
+    } else if (message.type === 'request') {
+        var parsed = JSON.parse(message.message);
+        var request = {
+            version: parsed.version,
+            kind: parsed.kind,
+            payload: parsed.payload,
+            closure: message.closure,
+            message: function() { return message.message; }
+        };
+        this.sendShared(follower, request, function(response) {
+            var data = { version: response.version, kind: response.kind, closure: response.closure, payload: response.payload };
+            self.post({ type: 'response', to: follower, data: JSON.stringify(data) });
+        });
+
+    } else if (message.type === 'bye') {
+        this.dropSubscriber(follower);
+    }
+};
+
+SharedTransport.prototype.handleLeaderMessage = function(message) {
+
+    if (message.type === 'session') {
+        this.handleSession(message);
+
+    } else if (message.type === 'response') {
+        var response = new Response(this.app, message.data);
+        var callback = this.callbacks[response.closure];
+        if (callback !== undefined) {
+            delete this.callbacks[response.closure];
+            callback(response, response.error);
+        }
+
+    } else if (message.type === 'data') {
+        if (this.isConnected) {
+            this.app.handleData(new Value(message.payload));
+        }
+
+    } else if (message.type === 'values') {
+        if (this.isConnected) {
+            var app = this.app;
+            _.forEach(message.payload, function(record) {
+                app.deliverToListeners(new Value(record));
+            });
+        }
+
+    } else if (message.type === 'state') {
+        if (this.sessionId === null) {
+            return;
+        }
+        if (message.state === 'connected') {
+            // Rejoin, as the leader may have started a new session
+            this.joinSession();
+        } else {
+            this.isConnected = false;
+            this.app.setConnectionState(message.state);
+        }
+    }
+};
+
+/* Handles the answer of the leader to a request for its session */
+SharedTransport.prototype.handleSession = function(message) {
+
+    var callback = this.connectCallback;
+    this.connectCallback = null;
+
+    if (message.error !== null) {
+        var error = errors.create(message.error.code, message.error.msg);
+        if (callback !== null) {
+            callback(error);
+        } else {
+            this.app.handleAuthError(error);
+        }
+        return;
+    }
+
+    var wasConnected = this.isConnected;
+    this.isConnected = true;
+    if (callback !== null) {
+        callback(null, message.sessionInfo);
+    }
+    if (!wasConnected) {
+        // The session may be that of a new leader, which has none of the subscriptions of this App
+        this.resubscribe();
+        this.app.setConnectionState('connected');
+        this.app.handleConnect();
+    }
+};
@@ -0,0 +1,434 @@
+/*
+ * Copyright IBM Corporation 2016
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+/* global indexedDB */
+
+var _ = require('lodash');
+var fs = require('fs');
+
+/**
+ @module Storage
+ @description
+
+ Storage adapters persist the local cache of a CSync App across restarts.
+ The cache holds the most recent value of each key delivered to the App and, for each
+ listened key pattern, the rvts up to which the App has synchronized with the CSync service,
+ along with the uid of the user they were delivered to.
+ It also holds the writes that have not yet been accepted by the CSync service, so they can
+ be replayed when the App is restarted.
+
+ A storage adapter is any object that implements the methods of MemoryStorage.
+ All methods are asynchronous and report completion through a node-style callback.
+ The callback is optional for methods that only modify the store.
+ */
+
+/**
+ @class MemoryStorage
+ @classdesc A storage adapter that keeps the cache in memory. This is the default adapter.
+ */
+function MemoryStorage() {
+    if (!(this instanceof MemoryStorage)) {
+        return new MemoryStorage();
+    }
+
+    this.state = emptyState();
+}
+
+/**
+ @function load
+ @memberof MemoryStorage
+ @instance
+ @description Reads the stored cache.
+
+ @param {function} callback - called with an error or an object with attributes values, an
+                              array of value records, rvts, a map from key pattern to rvts,
+                              writes, an array of pending write records in cts order, and
+                              owner, the uid of the user who owns the cache or null.
+ */
+MemoryStorage.prototype.load = function(callback) {
+
+    var self = this;
+    process.nextTick(function() {
+        callback(null, snapshot(self.state));
+    });
+};
+
+/**
+ @function setValue
+ @memberof MemoryStorage
+ @instance
+ @description Stores the latest value record for a (concrete) key.
+
+ @param {string} key - the key string of the value
+ @param {object} record - the value record to store
+ @param {function} callback - [Optional] called with an error or null when the record is stored
+ */
+MemoryStorage.prototype.setValue = function(key, record, callback) {
+
+    this.state.values[key] = record;
+    complete(callback);
+};
+
+/**
+ @function setRvts
+ @memberof MemoryStorage
+ @instance
+ @description Stores the rvts for a key pattern.
+
+ @param {string} key - the key pattern
+ @param {int} rvts - the rvts to store
+ @param {function} callback - [Optional] called with an error or null when the rvts is stored
+ */
+MemoryStorage.prototype.setRvts = function(key, rvts, callback) {
+
+    this.state.rvts[key] = rvts;
+    complete(callback);
+};
+
+/**
+ @function setOwner
+ @memberof MemoryStorage
+ @instance
+ @description Stores the uid of the user who owns the cached values and rvts.
+
+ @param {string} uid - the uid of the user
+ @param {function} callback - [Optional] called with an error or null when the uid is stored
+ */
+MemoryStorage.prototype.setOwner = function(uid, callback) {
+
+    this.state.meta.owner = uid;
+    complete(callback);
+};
+
+/**
+ @function addWrite
+ @memberof MemoryStorage
+ @instance
+ @description Stores a write that has not yet been accepted by the CSync service.
+
+ @param {int} cts - the cts of the write, which identifies it
+ @param {object} record - the write record to store
+ @param {function} callback - [Optional] called with an error or null when the record is stored
+ */
+MemoryStorage.prototype.addWrite = function(cts, record, callback) {
+
+    this.state.writes[cts] = record;
+    complete(callback);
+};
+
+/**
+ @function removeWrite
+ @memberof MemoryStorage
+ @instance
+ @description Removes a write once it has been accepted or rejected by the CSync service.
+
+ @param {int} cts - the cts of the write
+ @param {function} callback - [Optional] called with an error or null when the record is removed
+ */
+MemoryStorage.prototype.removeWrite = function(cts, callback) {
+
+    delete this.state.writes[cts];
+    complete(callback);
+};
+
+/**
+ @function clear
+ @memberof MemoryStorage
+ @instance
+ @description Removes everything from the store.
+
+ @param {function} callback - [Optional] called with an error or null when the store is empty
+ */
+MemoryStorage.prototype.clear = function(callback) {
+
+    this.state = emptyState();
+    complete(callback);
+};
+
+/**
+ @class FileStorage
+ @classdesc A storage adapter that keeps the cache in a JSON file. Only available in Node.
+
+ @param {string} path - the path of the file
+ */
+function FileStorage(path) {
+    if (!(this instanceof FileStorage)) {
+        return new FileStorage(path);
+    }
+
+    this.path = path;
+    this.state = emptyState();
+
+    // Callbacks waiting for the next write of the file, and whether a write is in progress
+    this.saveCallbacks = null;
+    this.writing = false;
+}
+
+FileStorage.prototype.load = function(callback) {
+
+    var self = this;
+    fs.readFile(this.path, 'utf8', function(error, text) {
+        if (error) {
+            // A missing file is just an empty cache
+            return callback(error.code === 'ENOENT' ? null : error, snapshot(self.state));
+        }
+
+        try {
+            self.state = _.defaults(JSON.parse(text), emptyState());
+        } catch (err) {
+            return callback(err, snapshot(self.state));
+        }
+        callback(null, snapshot(self.state));
+    });
+};
+
+FileStorage.prototype.setValue = function(key, record, callback) {
+
+    this.state.values[key] = record;
+    this.save(callback);
+};
+
+FileStorage.prototype.setRvts = function(key, rvts, callback) {
+
+    this.state.rvts[key] = rvts;
+    this.save(callback);
+};
+
+FileStorage.prototype.setOwner = function(uid, callback) {
+
+    this.state.meta.owner = uid;
+    this.save(callback);
+};
+
+FileStorage.prototype.addWrite = function(cts, record, callback) {
+
+    this.state.writes[cts] = record;
+    this.save(callback);
+};
+
+FileStorage.prototype.removeWrite = function(cts, callback) {
+
+    delete this.state.writes[cts];
+    this.save(callback);
+};
+
+FileStorage.prototype.clear = function(callback) {
+
+    this.state = emptyState();
+    this.save(callback);
+};
+
+/*
+ Writes the file on the next tick, so a burst of changes results in a single write.  Only one
+ write is in progress at a time: changes made meanwhile are written once it completes.
+ */
+FileStorage.prototype.save = function(callback) {
+
+    if (this.saveCallbacks !== null) {
+        this.saveCallbacks.push(callback);
+        return;
+    }
+    this.saveCallbacks = [callback];
+
+    if (!this.writing) {
+        process.nextTick(this.writeFile.bind(this));
+    }
+};
+
+/*
+ Writes the state to a temporary file and renames it, so the file is never left half written,
+ then starts the next write if changes were saved meanwhile.
+ */
+FileStorage.prototype.writeFile = function() {
+
+    var self = this;
+    var callbacks = this.saveCallbacks;
+    this.saveCallbacks = null;
+    this.writing = true;
+
+    function done(error) {
+        self.writing = false;
+        callbacks.forEach(function(cb) { complete(cb, error); });
+        if (self.saveCallbacks !== null) {
+            self.writeFile();
+        }
+    }
+
+    var tmpPath = this.path + '.tmp';
+    fs.writeFile(tmpPath, JSON.stringify(this.state), 'utf8', function(error) {
+        if (error) {
+            return done(error);
+        }
+        fs.rename(tmpPath, self.path, done);
+    });
+};
+
+// Version of the database schema, incremented when object stores are added
+var DB_VERSION = 1;
+
+/**
+ @class IndexedDBStorage
+ @classdesc A storage adapter that keeps the cache in an IndexedDB database. Only available in browsers.
+
+ @param {string} name - [Optional] the name of the database, defaults to 'csync'
+ */
+function IndexedDBStorage(name) {
+    if (!(this instanceof IndexedDBStorage)) {
+        return new IndexedDBStorage(name);
+    }
+
+    this.name = name || 'csync';
+    this.db = null;
+}
+
+IndexedDBStorage.prototype.open = function(callback) {
+
+    if (this.db !== null) {
+        return callback(null, this.db);
+    }
+
+    if (typeof indexedDB === 'undefined') {
+        return callback(new Error('IndexedDB is not available'));
+    }
+
+    var self = this;
+    var request = indexedDB.open(this.name, DB_VERSION);
+
+    request.onupgradeneeded = function() {
+        var db = request.result;
+        _.forEach(_.keys(emptyState()), function(store) {
+            if (!db.objectStoreNames.contains(store)) {
+                db.createObjectStore(store);
+            }
+        });
+    };
+    request.onsuccess = function() {
+        self.db = request.result;
+        callback(null, self.db);
+    };
+    request.onerror = function() {
+        callback(request.error);
+    };
+};
+
+IndexedDBStorage.prototype.load = function(callback) {
+
+    var state = emptyState();
+
+    this.open(function(error, db) {
+        if (error) {
+            return callback(error, snapshot(state));
+        }
+
+        var tx = db.transaction(_.keys(state), 'readonly');
+        _.forEach(_.keys(state), function(store) {
+            tx.objectStore(store).openCursor().onsuccess = function(event) {
+                var cursor = event.target.result;
+                if (cursor) {
+                    state[store][cursor.key] = cursor.value;
+                    cursor.continue();
+                }
+            };
+        });
+        tx.oncomplete = function() {
+            callback(null, snapshot(state));
+        };
+        tx.onerror = function() {
+            callback(tx.error, snapshot(emptyState()));
+        };
+    });
+};
+
+IndexedDBStorage.prototype.setValue = function(key, record, callback) {
+
+    this.update('values', function(store) { store.put(record, key); }, callback);
+};
+
+IndexedDBStorage.prototype.setRvts = function(key, rvts, callback) {
+
+    this.update('rvts', function(store) { store.put(rvts, key); }, callback);
+};
+
+IndexedDBStorage.prototype.setOwner = function(uid, callback) {
+
+    this.update('meta', function(store) { store.put(uid, 'owner'); }, callback);
+};
+
+IndexedDBStorage.prototype.addWrite = function(cts, record, callback) {
+
+    this.update('writes', function(store) { store.put(record, cts); }, callback);
+};
+
+IndexedDBStorage.prototype.removeWrite = function(cts, callback) {
+
+    this.update('writes', function(store) { store.delete(cts); }, callback);
+};
+
+IndexedDBStorage.prototype.clear = function(callback) {
+
+    this.update(_.keys(emptyState()), function(store) { store.clear(); }, callback);
+};
+
+/* Applies change to each of the named object stores in a single readwrite transaction */
+IndexedDBStorage.prototype.update = function(stores, change, callback) {
+
+    stores = _.castArray(stores);
+
+    this.open(function(error, db) {
+        if (error) {
+            return complete(callback, error);
+        }
+
+        var tx = db.transaction(stores, 'readwrite');
+        _.forEach(stores, function(store) {
+            change(tx.objectStore(store));
+        });
+        tx.oncomplete = function() {
+            complete(callback);
+        };
+        tx.onerror = function() {
+            complete(callback, tx.error);
+        };
+    });
+};
+
+// MARK: - Helpers
+
+function emptyState() {
+    return { values: {}, rvts: {}, writes: {}, meta: {} };
+}
+
+/* Returns the form of the state passed to load callbacks */
+function snapshot(state) {
+    return {
+        values: _.values(state.values),
+        rvts: _.clone(state.rvts),
+        writes: _.sortBy(_.values(state.writes), 'cts'),
+        owner: state.meta.owner || null
+    };
+}
+
+function complete(callback, error) {
+    if (callback) {
+        callback(error || null);
+    }
+}
+
+module.exports = {
+    MemoryStorage: MemoryStorage,
+    FileStorage: FileStorage,
+    IndexedDBStorage: IndexedDBStorage
+};
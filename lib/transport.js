@@ -20,6 +20,7 @@ var qs = require('querystring');
 var uuid = require('node-uuid');
 var ws = require('ws');
 
+var errors = require('./errors');
 var logger = require('./logger')('transport');
 var Response = require('./response');
 
@@ -27,7 +28,49 @@ var Response = require('./response');
 logger.enableDebug = (process.env.DEBUG || process.env.DEBUG_TRANSPORT) ? true : false;
 logger.enableWarning = (process.env.DEBUG || process.env.DEBUG_TRANSPORT) ? true : false;
 
-function Transport(app, host, port) {
+// Default policy for reconnecting a dropped connection.  Delays are in millis.
+var RECONNECT_DEFAULTS = {
+    initialDelay: 1000,     // delay before the first reconnect attempt
+    maxDelay: 60*1000,      // upper bound on the delay between attempts
+    multiplier: 2,          // growth factor of the delay after each failed attempt
+    jitter: 0.5             // fraction of each delay that is randomized
+};
+
+/*
+ Transport -- the connection of an App to the CSync service over a WebSocket.
+
+ Another transport may be passed to the App in its transport option.  A transport must have
+ the attributes and methods of this one that are used by the App and Operations:
+
+ - app: set by the App to itself.  The transport reports to it with setConnectionState(state, error),
+   handleConnect() once connected, and handleData(value) for each Value pushed by the service.
+ - authProvider, token: set by the App to the credentials for the next session.
+ - startSession(callback): connects with the credentials, then calls callback(error, sessionInfo),
+   where sessionInfo has the uuid, uid and expires of the connectResponse.
+ - renewSession(callback): reconnects the current session with new credentials, and calls callback
+   as startSession does.  Credentials rejected at any other time are reported to app.handleAuthError(error).
+   Attempts to reestablish a dropped connection are counted with app.metrics.increment('connection.reconnects').
+ - endSession(): closes the connection.
+ - close(): [Optional] ends the session for good, releasing whatever else the transport holds.  Called
+   by App.close, which calls endSession() instead for a transport without it.
+ - send(request, callback): sends a Request and calls callback(response, error) with its Response.
+   While disconnected the request may be dropped, as operations resend on handleConnect.
+ - cancel(request): stops waiting for the response to request.
+ - advances(key): [Optional] returns true if the App should poll the service with advance for the key
+   pattern.  Without it, an App polls for the patterns it listens to.
+ - features: the requests beyond those of the CSync service that the transport's server accepts, as
+   a map from feature name to true.  The App rejects the operations needing a missing feature with
+   InvalidRequest rather than sending them.  These are:
+   - aclManagement: createAcl, updateAcl and deleteAcl requests.
+   - aclOnlyWrites: pubs with assumeACL and no data, which change the ACL and keep the data.
+   - conditionalWrites: pubs with ifVts or ifNotExists, which are applied only if the entry is at
+     that vts or does not exist, and otherwise rejected with the code errors.SERVER_CODES.conflict.
+
+ See LoopbackTransport for an example.
+ */
+function Transport(app, host, port, options) {
+
+    options = options || {};
 
     this.app = app;
     this.host = host;
@@ -42,6 +85,14 @@ function Transport(app, host, port) {
 
     this.callbacks = {};
     this.connectCallback = null;
+
+    // The CSync service accepts none of the optional requests
+    this.features = {};
+
+    // Reconnect policy -- reconnect may be disabled by passing false
+    this.reconnect = (options.reconnect === false) ? null : _.defaults({}, options.reconnect, RECONNECT_DEFAULTS);
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
 }
 
 module.exports = Transport;
@@ -70,11 +121,32 @@ Transport.prototype.startSession = function(callback) {
 Transport.prototype.endSession = function() {
 
     this.sessionId = null;
+    this.cancelReconnect();
 
     if (this.ws !== null) {
         this.ws.close();
     }
     this.ws = null;
+
+    this.app.setConnectionState('disconnected');
+};
+
+/*
+ Reopens the connection of the current session with the current credentials, such as a refreshed token.
+ */
+Transport.prototype.renewSession = function(callback) {
+
+    this.connectCallback = callback;
+    this.reconnectAttempts = 0;
+
+    // Events from the old socket are ignored once it is replaced
+    var socket = this.ws;
+    this.ws = null;
+    if (socket !== null) {
+        socket.close();
+    }
+
+    this.connect();
 };
 
 Transport.prototype.connected = function() {
@@ -93,8 +165,13 @@ Transport.prototype.connected = function() {
  */
 Transport.prototype.send = function(request, callback) {
 
+    // While disconnected the request is not sent, but remains with its operation,
+    // which resends it when the connection is reestablished (see App.handleConnect).
+    // A pending reconnect is left to its backoff timer.
     if (!this.connected()) {
-        this.connect();
+        if (this.reconnectTimer === null) {
+            this.connect();
+        }
         return;
     }
 
@@ -103,7 +180,7 @@ Transport.prototype.send = function(request, callback) {
         if (callback !== undefined) {
             this.callbacks[request.closure] = callback;
         }
-        logger.debug("sending " + message);
+        logger.debug("sending " + message, { app: this.app });
         this.ws.send(message);
     } else {
         if (callback !== undefined) {
@@ -112,19 +189,27 @@ Transport.prototype.send = function(request, callback) {
     }
 };
 
+/* Stops waiting for the response to request, so a late response is ignored */
+Transport.prototype.cancel = function(request) {
+
+    if (request !== undefined) {
+        delete this.callbacks[request.closure];
+    }
+};
+
 // MARK - Transport private methods
 
 Transport.prototype.connect = function() {
 
     // For now, we simply return if a session is not active
     if (this.sessionId === null) {
-        logger.warning("attempt to connect before session started silently ignorned");
+        logger.warning("attempt to connect before session started silently ignorned", { app: this.app });
         return;
     }
 
     // For now, we simply return if the ws is not in a state where we can reopen
     if (this.ws !== null && this.ws.readyState !== ws.prototype.CLOSED) {
-        logger.warning("attempt to connect with active ws silently ignorned");
+        logger.warning("attempt to connect with active ws silently ignorned", { app: this.app });
         return;
     }
 
@@ -135,28 +220,43 @@ Transport.prototype.connect = function() {
     }
 
     var url = (this.useSSL ? "wss" : "ws") +'://' + this.host + ':' + this.port + '/connect?' + qs.stringify(args);
-    logger.debug("open connection to: " + url);
+    logger.debug("open connection to: " + url, { app: this.app });
 
+    this.cancelReconnect();
+    this.app.setConnectionState(this.reconnectAttempts > 0 ? 'reconnecting' : 'connecting');
     this.ws = new ws(url);
 
     var self = this;
+    var socket = this.ws;
+    // Set once the service accepts the credentials of this socket
+    var accepted = false;
 
     this.ws.onopen = function() {
-        logger.debug("connection open to "+ws.url);
+        logger.debug("connection open to "+socket.url, { app: self.app });
+        self.reconnectAttempts = 0;
+        self.app.setConnectionState('connected');
         self.app.handleConnect();
     };
 
+    // A failed connection attempt reports an error without a close, so both
+    // handlers schedule the reconnect.  Events from a replaced socket are ignored.
     this.ws.onerror = function(err) {
-        logger.error("encountered error: " + err);
+        logger.error("encountered error: " + err, { app: self.app });
+        if (self.ws === socket) {
+            self.handleDisconnect(err);
+        }
     };
 
     this.ws.onclose = function() {
-        logger.info("session closed by server");
+        logger.info("session closed by server", { app: self.app });
+        if (self.ws === socket) {
+            self.handleDisconnect(null);
+        }
     };
 
     this.ws.onmessage = function(event) {
         var data = event.data;
-        logger.debug("handling incoming message: " + data);
+        logger.debug("handling incoming message: " + data, { app: self.app });
 
         var response = new Response(self.app, data);
         if (response.closure !== null) {
@@ -167,21 +267,80 @@ Transport.prototype.connect = function() {
             }
         } else if (response.kind === 'data') {
             response.values.forEach(function(value) {
-                self.app.deliverToListeners(value);
+                self.app.handleData(value);
             });
         } else if (response.kind === 'connectResponse') {
+            accepted = true;
             if (self.connectCallback !== null) {
                 var sessionInfo = _.pick(response.payload, ['uuid', 'uid', 'expires']);
                 self.connectCallback(null, sessionInfo);
                 self.connectCallback = null;
             }
-        } else if (response.kind === 'error') {
+        } else if (response.kind === 'error' && !accepted) {
             if (self.connectCallback !== null) {
                 self.connectCallback(response.error);
                 self.connectCallback = null;
+            } else {
+                // The credentials were rejected when reconnecting, most likely because the token expired
+                self.app.handleAuthError(response.error);
             }
         } else {
-            logger.error("Unhandled response: " + response.kind + " payload: " + JSON.stringify(response.payload));
+            logger.error("Unhandled response: " + response.kind + " payload: " + JSON.stringify(response.payload), { app: self.app });
         }
     };
 };
+
+/*
+ Handles the loss of the connection, scheduling a reconnect if the session is still active.
+ */
+Transport.prototype.handleDisconnect = function(event) {
+
+    var error = null;
+    if (event !== null) {
+        error = new errors.ConnectionError("Connection to " + this.host + ":" + this.port + " failed: " + (event.message || event));
+    }
+
+    this.scheduleReconnect();
+    this.app.setConnectionState((this.reconnectTimer !== null) ? 'reconnecting' : 'disconnected', error);
+};
+
+/*
+ Computes the delay in millis before the next reconnect attempt, using exponential
+ backoff from the initial delay, capped at the maximum delay, with random jitter.
+ */
+Transport.prototype.reconnectDelay = function() {
+
+    var policy = this.reconnect;
+    var delay = Math.min(policy.maxDelay, policy.initialDelay * Math.pow(policy.multiplier, this.reconnectAttempts));
+    return Math.round(delay * (1 - policy.jitter * Math.random()));
+};
+
+/*
+ Schedules an attempt to reopen the connection for the active session.
+ Operations in flight are resent by App.handleConnect once the connection is open.
+ */
+Transport.prototype.scheduleReconnect = function() {
+
+    if (this.sessionId === null || this.reconnect === null || this.reconnectTimer !== null) {
+        return;
+    }
+
+    var delay = this.reconnectDelay();
+    this.reconnectAttempts++;
+    this.app.metrics.increment('connection.reconnects');
+    logger.debug("reconnect attempt " + this.reconnectAttempts + " in " + delay + " ms", { app: this.app });
+
+    var self = this;
+    this.reconnectTimer = setTimeout(function() {
+        self.reconnectTimer = null;
+        self.connect();
+    }, delay);
+};
+
+Transport.prototype.cancelReconnect = function() {
+
+    if (this.reconnectTimer !== null) {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+    }
+};
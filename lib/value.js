@@ -23,7 +23,7 @@
  stored by the CSync service.
 
  */
-function Value(payload) {
+function Value(payload, stable) {
 
     var path = payload.path;
 
@@ -50,7 +50,7 @@ function Value(payload) {
      @instance
      @name stable
      */
-    this.stable = true;
+    this.stable = (stable === false) ? false : true;
 
     /**
      @property {Object} data The data for this entry (read-only).
@@ -92,4 +92,18 @@ function Value(payload) {
     this.vts = payload.vts;
 }
 
+/* Return a payload from which an equal Value can be constructed, used to persist the value */
+Value.prototype.record = function() {
+
+    return {
+        path: (this.key.length === 0) ? [] : this.key.split("."),
+        data: JSON.stringify(this.data),
+        deletePath: !this.exists,
+        acl: this.acl,
+        creator: this.creator,
+        cts: this.cts,
+        vts: this.vts
+    };
+};
+
 module.exports = Value;
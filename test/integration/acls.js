@@ -57,6 +57,10 @@ describe('Access Control Tests', function() {
 
         testKey.listen(function(error, value) {
             expect(error).to.be.a('null');
+            // The ACL is assigned by the service, so wait for the value it confirms
+            if (!value.stable) {
+                return;
+            }
             // Assert
             expect(value.data).to.be.equal(expectedValue);
             expect(value.acl).to.be.equal(csync.acl.PublicCreate.id);
@@ -178,6 +182,10 @@ describe('Access Control Tests', function() {
 
         var listener = function(error, value) {
             expect(error).to.be.a('null');
+            // The cache is cleared by unauth, so only the service knows the creator
+            if (!value.stable) {
+                return;
+            }
             if (value.exists) {
                 if (value.data === "after") {
                     expect(value.creator).to.be.equal(uid1);  // Creator should not change
@@ -214,6 +214,10 @@ describe('Integration Tests', function() {
             var count = 0;
             var listener = function(error, value) {
                 expect(error).to.be.a('null');
+                // Count only the values confirmed by the service
+                if (!value.stable) {
+                    return;
+                }
                 var data = value.data;
                 count += 1;
                 if (count === 2) {
@@ -254,6 +258,9 @@ describe('Integration Tests', function() {
             var count = 0;
             var vts = 0;
             var listener = function(error, value) {
+                if (!value.stable) {
+                    return;
+                }
                 count += 1;
                 if (count === 1) {
                     vts = value.vts;
@@ -289,6 +296,9 @@ describe('Integration Tests', function() {
             var count = 0;
             var vts = 0;
             var listener = function(error, value) {
+                if (!value.stable) {
+                    return;
+                }
                 count += 1;
                 if (count === 1) {
                     testKey.delete();
@@ -323,9 +333,15 @@ describe('Integration Tests', function() {
 
             var testKey = app.key(jsKey+".multilisten."+uuid.v4());
 
+            var unsubscribe1;
+
             var listener2 = function(error, value) {
                 expect(error).to.be.a('null');
                 var data = value.data;
+                // A new listener is given the current value first
+                if (!value.stable || data.when === "before") {
+                    return;
+                }
                 expect(data.when).to.be.equal("after");
                 testKey.unlisten();
                 expect(app.hasListener(testKey.key)).to.be.equal(false);
@@ -336,9 +352,13 @@ describe('Integration Tests', function() {
 
             var listener1 = function(error, value) {
                 expect(error).to.be.a('null');
+                if (!value.stable) {
+                    return;
+                }
                 var data = value.data;
                 expect(data.when).to.be.equal("before");
 
+                unsubscribe1();
                 testKey.listen(listener2);
 
                 setTimeout(function() {
@@ -347,7 +367,7 @@ describe('Integration Tests', function() {
                 }, 1000);
             };
 
-            testKey.listen(listener1);
+            unsubscribe1 = testKey.listen(listener1);
 
             setTimeout(function() {
                 var msg1 = {when: "before"};
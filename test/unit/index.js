@@ -14,9 +14,12 @@
  * limitations under the License.
  */
 'use strict';
+/* global Symbol, AbortController */
 
 var expect = require('chai').expect;
 
+var _ = require('lodash');
+var when = require('when');
 var uuid = require('node-uuid');
 var conf = require('config');
 
@@ -27,6 +30,65 @@ describe('CSync Unit Tests', function() {
     var config        = { host: host, port: port, useSSL: ssl};
 
     var csync = require('../../index');
+    var Response = require('../../lib/response');
+
+    // The tests provoke failures, whose errors would otherwise be logged; DEBUG shows them
+    if (!process.env.DEBUG) {
+        csync.setLogLevel('silent');
+    }
+
+    // Replace the transport of app with one that answers each request with the kind
+    // and payload returned by handler, and return the array of requests sent.
+    function fakeTransport(app, handler) {
+        var requests = [];
+        app.transport.connected = function() { return true; };
+        app.transport.send = function(request, callback) {
+            requests.push(request);
+            var response = handler(request);
+            callback(new Response(app, JSON.stringify({ version: 15, kind: response.kind,
+                                                        closure: request.closure, payload: response.payload })));
+        };
+        return requests;
+    }
+
+    // Accept every request; advances find no changes
+    function happy(request) {
+        if (request.kind === 'advance') {
+            return { kind: 'advanceResponse', payload: { vts: [], maxvts: request.payload.rvts } };
+        }
+        return { kind: 'happy', payload: { code: 0, msg: "OK" } };
+    }
+
+    // Return a handler for fakeTransport that acts as a service storing entries for concrete keys:
+    // it accepts every pub whose condition holds, assigning it the next vts, and answers advances
+    // and fetches from the store.
+    function storeServer() {
+        var lastVts = 0;
+        var entries = {};   // Map from vts to the payload of the latest value of a key
+
+        return function(request) {
+            var payload = request.payload;
+            if (request.kind === 'pub') {
+                var current = _.find(entries, function(entry) { return _.isEqual(entry.path, payload.path) && !entry.deletePath; });
+                if ((payload.ifNotExists && current !== undefined) ||
+                    (payload.ifVts !== undefined && (current === undefined || current.vts !== payload.ifVts))) {
+                    return { kind: 'happy', payload: { code: 4, msg: "Conflict" } };
+                }
+                entries = _.omitBy(entries, function(entry) { return _.isEqual(entry.path, payload.path); });
+                lastVts += 1;
+                entries[lastVts] = { path: payload.path, data: payload.data, deletePath: payload.deletePath,
+                                     acl: "$publicCreate", creator: "me", cts: payload.cts, vts: lastVts };
+            } else if (request.kind === 'advance') {
+                var vts = _.filter(entries, function(entry) {
+                    return entry.vts > payload.rvts && _.isEqual(entry.path, payload.pattern);
+                }).map(function(entry) { return entry.vts; });
+                return { kind: 'advanceResponse', payload: { vts: vts, maxvts: lastVts } };
+            } else if (request.kind === 'fetch') {
+                return { kind: 'fetchResponse', payload: { response: payload.vts.map(function(vts) { return entries[vts]; }) } };
+            }
+            return happy(request);
+        };
+    }
 
     describe('Acl Object Unit Tests', function() {
         it('should define static ACLs', function() {
@@ -42,6 +104,23 @@ describe('CSync Unit Tests', function() {
     });
 
     describe('App Object Unit Tests', function() {
+        it('should return the ACLs available to the user', function(done) {
+
+            var app = csync(config);
+            fakeTransport(app, function(request) {
+                expect(request.kind).to.be.equal('getAcls');
+                return { kind: 'getAclsResponse', payload: { acls: ["$private", "$publicRead"] } };
+            });
+
+            app.getAcls().then(function(acls) {
+                expect(acls.length).to.be.equal(2);
+                expect(acls[0]).to.be.an.instanceof(csync.acl);
+                expect(acls[0].id).to.be.equal(csync.acl.Private.id);
+                expect(acls[1].id).to.be.equal(csync.acl.PublicRead.id);
+                done();
+            }).catch(done);
+        });
+
         it('should return correct values for all its properties', function() {
             // Assert
             var app = csync(config);
@@ -53,6 +132,1588 @@ describe('CSync Unit Tests', function() {
         });
     });
 
+    describe('Transport Unit Tests', function() {
+        it('should back off exponentially between reconnect attempts', function() {
+
+            var app = csync({ host: host, port: port, useSSL: ssl,
+                              reconnect: { initialDelay: 100, maxDelay: 1000, multiplier: 2, jitter: 0 } });
+            var transport = app.transport;
+
+            var delays = [];
+            for (var i = 0; i < 6; i++) {
+                transport.reconnectAttempts = i;
+                delays.push(transport.reconnectDelay());
+            }
+            expect(delays).to.deep.equal([100, 200, 400, 800, 1000, 1000]);
+        });
+
+        it('should keep jittered delays within bounds', function() {
+
+            var app = csync({ host: host, port: port, useSSL: ssl,
+                              reconnect: { initialDelay: 1000, jitter: 0.5 } });
+            var transport = app.transport;
+
+            for (var i = 0; i < 20; i++) {
+                var delay = transport.reconnectDelay();
+                expect(delay).to.be.within(500, 1000);
+            }
+        });
+
+        it('should only schedule reconnects for an active session', function() {
+
+            var app = csync(config);
+            var transport = app.transport;
+
+            transport.scheduleReconnect();
+            expect(transport.reconnectTimer).to.be.equal(null);
+
+            transport.sessionId = 'test-session';
+            transport.scheduleReconnect();
+            expect(transport.reconnectTimer).to.not.be.equal(null);
+            expect(transport.reconnectAttempts).to.be.equal(1);
+
+            transport.endSession();
+            expect(transport.reconnectTimer).to.be.equal(null);
+
+            var noReconnect = csync({ host: host, port: port, useSSL: ssl, reconnect: false });
+            noReconnect.transport.sessionId = 'test-session';
+            noReconnect.transport.scheduleReconnect();
+            expect(noReconnect.transport.reconnectTimer).to.be.equal(null);
+        });
+    });
+
+    describe('Connection State Unit Tests', function() {
+        it('should report connection state changes', function() {
+
+            var app = csync(config);
+            var states = [];
+            var handler = function(state, error) {
+                states.push(state);
+            };
+            app.on('connectionState', handler);
+            expect(app.connectionState).to.be.equal('disconnected');
+
+            app.transport.sessionId = 'test-session';
+            app.transport.handleDisconnect(new Error('connection dropped'));
+            expect(app.connectionState).to.be.equal('reconnecting');
+
+            // Repeated reports of the same state are not emitted
+            app.transport.handleDisconnect(null);
+
+            app.setConnectionState('connected');
+            app.transport.endSession();
+            expect(states).to.deep.equal(['reconnecting', 'connected', 'disconnected']);
+
+            app.off('connectionState', handler);
+            app.setConnectionState('connecting');
+            expect(states.length).to.be.equal(3);
+        });
+    });
+
+    describe('Loopback Server Unit Tests', function() {
+
+        it('should deliver writes to listeners of another app', function(done) {
+
+            var server = new csync.loopback.LoopbackServer();
+            var writer = csync({ transport: server.createTransport() });
+            var reader = csync({ transport: server.createTransport() });
+            var uid;
+
+            reader.authenticate("demo", "demoToken(reader)").then(function() {
+                reader.key("loop.*").listen(function(error, value) {
+                    if (value.stable) {
+                        expect(value.key).to.be.equal("loop.a");
+                        expect(value.data).to.deep.equal({ n: 1 });
+                        expect(value.creator).to.be.equal(uid);
+                        reader.removeAllListeners();
+                        done();
+                    }
+                });
+                return writer.authenticate("demo", "demoToken");
+            }).then(function(authData) {
+                uid = authData.uid;
+                return writer.key("loop.a").write({ n: 1 }, { acl: csync.acl.PublicRead });
+            }).catch(done);
+        });
+
+        it('should enforce static ACLs and authentication', function() {
+
+            var server = new csync.loopback.LoopbackServer();
+            var owner = csync({ transport: server.createTransport() });
+            var other = csync({ transport: server.createTransport() });
+
+            return other.authenticate("demo", "This is a bad token").then(function() {
+                throw new Error("authenticate should have failed");
+            }, function() {
+                return when.all([owner.authenticate("demo", "demoToken(1)"), other.authenticate("demo", "demoToken(2)")]);
+            }).then(function() {
+                return owner.key("loop.b").write("mine", { acl: csync.acl.PublicRead });
+            }).then(function() {
+                return other.key("loop.b").read();
+            }).then(function(value) {
+                expect(value.data).to.be.equal("mine");
+                return other.key("loop.b").write("theirs");
+            }).then(function() {
+                throw new Error("write should have been rejected");
+            }, function(error) {
+                expect(error).to.be.an.instanceof(csync.errors.PermissionDeniedError);
+                expect(error).to.be.an.instanceof(csync.errors.RejectedError);
+                expect(error.code).to.be.equal(csync.RequestError);
+                expect(error.serverCode).to.be.equal(csync.errors.SERVER_CODES.permissionDenied);
+                expect(error.kind).to.be.equal('pub');
+                expect(error.key).to.be.equal("loop.b");
+                return other.key("loop.*").write("everywhere");
+            }).then(function() {
+                throw new Error("write to a key pattern should have been rejected");
+            }, function(error) {
+                expect(error).to.be.an.instanceof(csync.errors.InvalidKeyError);
+                expect(error.code).to.be.equal(csync.RequestError);
+                expect(error.serverCode).to.be.equal(csync.errors.SERVER_CODES.invalidKey);
+                return other.getAcls();
+            }).then(function(acls) {
+                expect(_.map(acls, 'id')).to.include("$publicReadWriteCreate");
+            });
+        });
+
+        it('should grant the users named in an ACL access to keys assigned it', function() {
+
+            var server = new csync.loopback.LoopbackServer();
+            var owner = csync({ transport: server.createTransport() });
+            var member = csync({ transport: server.createTransport() });
+            var team;
+
+            return when.all([owner.authenticate("demo", "demoToken(owner)"), member.authenticate("demo", "demoToken(member)")]).then(function(auth) {
+                return owner.createAcl("team", { read: [auth[1].uid], write: [auth[1].uid] });
+            }).then(function(acl) {
+                team = acl;
+                expect(acl.id).to.be.equal("team");
+                expect(acl.create).to.deep.equal([]);
+                return owner.key("loop.doc").write("draft", { acl: team });
+            }).then(function() {
+                return member.key("loop.doc").write("edited");
+            }).then(function() {
+                return member.getAcls();
+            }).then(function(acls) {
+                expect(_.map(acls, 'id')).to.include("team");
+                return member.updateAcl(team, {});
+            }).then(function() {
+                throw new Error("update should have been rejected");
+            }, function(error) {
+                expect(error.serverCode).to.be.equal(3);
+                return owner.updateAcl(team, { read: team.read });
+            }).then(function() {
+                return member.key("loop.doc").write("again");
+            }).then(function() {
+                throw new Error("write should have been rejected");
+            }, function(error) {
+                expect(error.serverCode).to.be.equal(3);
+                return owner.deleteAcl("team");
+            }).then(function() {
+                expect(owner.acls).to.be.a('null');
+                return owner.createAcl("$private", {});
+            }).then(function() {
+                throw new Error("a static ACL id should have been rejected");
+            }, function(error) {
+                expect(error.code).to.be.equal(csync.InvalidRequest);
+                expect(error.kind).to.be.equal('createAcl');
+            });
+        });
+
+        it('should reject ACL management when the service does not accept it', function() {
+
+            var app = csync({ host: host, port: port, useSSL: ssl });
+            var requests = fakeTransport(app, happy);
+
+            return app.createAcl("team", { read: ["someone"] }).then(function() {
+                throw new Error("createAcl should have been rejected");
+            }, function(error) {
+                expect(error.code).to.be.equal(csync.InvalidRequest);
+                expect(error.kind).to.be.equal('createAcl');
+                expect(requests).to.deep.equal([]);
+            });
+        });
+    });
+
+    describe('Token Refresh Unit Tests', function() {
+
+        it('should refresh the token before it expires', function(done) {
+
+            var server = new csync.loopback.LoopbackServer({ tokenLifetime: 2 });
+            var tokens = 0;
+            var app = csync({ transport: server.createTransport(), tokenRefreshMargin: 1500, tokenProvider: function(provider) {
+                expect(provider).to.be.equal("demo");
+                tokens += 1;
+                return when.resolve("demoToken");
+            }});
+
+            var states = [];
+            app.on('authStateChanged', function changed(authData, error) {
+                expect(error).to.be.a('null');
+                states.push(authData);
+                if (states.length === 2) {
+                    expect(tokens).to.be.equal(2);
+                    expect(states[1].uid).to.be.equal(states[0].uid);
+                    expect(states[1]).to.not.equal(states[0]);
+                    expect(app.authData).to.be.equal(states[1]);
+                    expect(app.connectionState).to.be.equal('connected');
+                    app.off('authStateChanged', changed);
+                    app.unauth().then(function() { done(); });
+                }
+            });
+
+            app.authenticate("demo").catch(done);
+        });
+
+        it('should wait for a long-lived token to near its expiry before refreshing it', function(done) {
+
+            var tokens = 0;
+            var app = csync({ host: host, port: port, useSSL: ssl, tokenProvider: function() {
+                tokens += 1;
+                return when.resolve("demoToken");
+            }});
+
+            // Expires in 100 days, beyond the longest delay of a timer
+            app.setAuthData({ uid: "me", expires: Date.now()/1000 + 100*24*3600 });
+            setTimeout(function() {
+                expect(tokens).to.be.equal(0);
+                expect(app.tokenRefreshTimer).to.not.be.a('null');
+                app.setAuthData(null);
+                done();
+            }, 20);
+        });
+
+        it('should report credentials that cannot be refreshed', function(done) {
+
+            var server = new csync.loopback.LoopbackServer();
+            var refused = new Error("no token for you");
+            var app = csync({ transport: server.createTransport(), tokenProvider: function() {
+                throw refused;
+            }});
+
+            app.authenticate("demo", "demoToken").then(function() {
+                app.on('authStateChanged', function(authData, error) {
+                    expect(authData).to.be.a('null');
+                    expect(error).to.be.equal(refused);
+                    expect(app.transport.sessionId).to.be.a('null');
+                    expect(app.transport.connected()).to.be.equal(false);
+                    done();
+                });
+                app.handleAuthError(new Error("token expired"));
+            }).catch(done);
+        });
+
+        it('should not treat errors after the session is accepted as rejected credentials', function(done) {
+            var MockServer = require('../../lib/mockserver');
+
+            var server = new MockServer({ port: 0 });
+            server.listen(function(error) {
+                expect(error).to.be.a('null');
+
+                var app = csync({ host: "localhost", port: server.port, useSSL: false });
+                app.authenticate("demo", "demoToken").then(function(authData) {
+                    app.on('authStateChanged', function() {
+                        done(new Error("the session should have been kept"));
+                    });
+                    app.transport.ws.onmessage({ data: JSON.stringify({ version: 15, kind: 'error', payload: { msg: "Internal error" } }) });
+
+                    expect(app.authData).to.be.equal(authData);
+                    expect(app.transport.sessionId).to.not.be.a('null');
+                    app.transport.endSession();
+                    server.close();
+                    done();
+                }).catch(done);
+            });
+        });
+    });
+
+    describe('Mock Server Unit Tests', function() {
+        var MockServer = require('../../lib/mockserver');
+
+        it('should serve apps connected over WebSocket', function(done) {
+
+            var server = new MockServer({ port: 0 });
+            server.listen(function(error) {
+                expect(error).to.be.a('null');
+
+                var app = csync({ host: "localhost", port: server.port, useSSL: false });
+                app.authenticate("demo", "demoToken").then(function(authData) {
+                    expect(authData.uid).to.be.equal("demoUser");
+                    return app.key("mock.a").write("hello");
+                }).then(function() {
+                    return app.key("mock.*").read({ fromServer: true });
+                }).then(function(values) {
+                    expect(_.map(values, 'data')).to.deep.equal(["hello"]);
+                    expect(server.loopback.entries["mock.a"].creator).to.be.equal("demoUser");
+                    app.transport.endSession();
+                    server.close();
+                    done();
+                }).catch(done);
+            });
+        });
+    });
+
+    describe('Shared Session Unit Tests', function() {
+        var MockServer = require('../../lib/mockserver');
+
+        it('should share one connection between apps', function(done) {
+
+            var server = new MockServer({ port: 0 });
+            server.listen(function(error) {
+                expect(error).to.be.a('null');
+
+                var options = { host: "localhost", port: server.port, useSSL: false,
+                                shareSession: { name: 'csync-unit-' + uuid.v4(), heartbeat: 10, timeout: 30 } };
+                var leader = csync(options);
+                var follower;
+
+                leader.authenticate("demo", "demoToken").then(function() {
+                    expect(leader.transport.isLeader()).to.be.equal(true);
+                    follower = csync(options);
+                    return follower.authenticate("demo", "demoToken");
+                }).then(function(authData) {
+                    expect(authData.uid).to.be.equal("demoUser");
+                    expect(follower.transport.isLeader()).to.be.equal(false);
+                    return follower.key("tabs.a").write("hello");
+                }).then(function() {
+                    return leader.key("tabs.*").read({ fromServer: true });
+                }).then(function(values) {
+                    expect(_.map(values, 'data')).to.deep.equal(["hello"]);
+                    expect(server.loopback.sessions.length).to.be.equal(1);
+                    return when.all([follower.close(), leader.close()]);
+                }).then(function() {
+                    server.close();
+                    done();
+                }).catch(done);
+            });
+        });
+
+        it('should share the cache and keep a pattern subscribed until its last listener closes', function(done) {
+
+            var server = new MockServer({ port: 0 });
+            server.listen(function(error) {
+                expect(error).to.be.a('null');
+
+                var options = { host: "localhost", port: server.port, useSSL: false,
+                                shareSession: { name: 'csync-unit-' + uuid.v4(), heartbeat: 10, timeout: 30 } };
+                var leader = csync(options);
+                var follower = csync(options);
+                var leaderKey = leader.key("tabs.*");
+                var subs = function() { return server.loopback.sessions[0].subs; };
+
+                leader.authenticate("demo", "demoToken").then(function() {
+                    return leader.key("tabs.a").write("hello");
+                }).then(function() {
+                    return leader.key("tabs.*").read({ fromServer: true });
+                }).then(function() {
+                    return follower.authenticate("demo", "someoneElsesToken").then(function() {
+                        throw new Error("credentials other than the leader's should have been rejected");
+                    }, function(error) {
+                        expect(error).to.be.an.instanceof(csync.errors.AuthError);
+                        return follower.authenticate("demo", "demoToken");
+                    });
+                }).then(function() {
+                    return when().delay(50);
+                }).then(function() {
+                    expect(follower.memoryDB["tabs.a"].data).to.be.equal("hello");
+                    leaderKey.listen(_.noop);
+                    follower.key("tabs.*").listen(_.noop);
+                    return when().delay(50);
+                }).then(function() {
+                    expect(subs()).to.deep.equal([["tabs", "*"]]);
+                    leaderKey.unlisten();
+                    return when().delay(50);
+                }).then(function() {
+                    expect(subs()).to.deep.equal([["tabs", "*"]]);
+                    return follower.close().then(function() {
+                        return when().delay(50);
+                    });
+                }).then(function() {
+                    expect(subs()).to.deep.equal([]);
+                    return leader.close();
+                }).then(function() {
+                    server.close();
+                    done();
+                }).catch(done);
+            });
+        });
+
+        it('should authenticate apps started together, whichever is elected', function(done) {
+
+            var server = new MockServer({ port: 0 });
+            server.listen(function(error) {
+                expect(error).to.be.a('null');
+
+                var options = { host: "localhost", port: server.port, useSSL: false,
+                                shareSession: { name: 'csync-unit-' + uuid.v4(), heartbeat: 10, timeout: 30 } };
+                var apps = [csync(options), csync(options)];
+
+                when.map(apps, function(app) {
+                    return app.authenticate("demo", "demoToken");
+                }).then(function(authData) {
+                    expect(_.map(authData, 'uid')).to.deep.equal(["demoUser", "demoUser"]);
+                    expect(_.filter(apps, function(app) { return app.transport.isLeader(); }).length).to.be.equal(1);
+                    return when.all(_.invokeMap(apps, 'close'));
+                }).then(function() {
+                    server.close();
+                    done();
+                }).catch(done);
+            });
+        });
+        it('should poll only from the leader, and resubscribe and poll from the next leader', function(done) {
+
+            var server = new MockServer({ port: 0 });
+            server.listen(function(error) {
+                expect(error).to.be.a('null');
+
+                var options = { host: "localhost", port: server.port, useSSL: false, advance: { minDelay: 10, maxDelay: 10 },
+                                shareSession: { name: 'csync-unit-' + uuid.v4(), heartbeat: 10, timeout: 30 } };
+                var leader = csync(options);
+                var follower;
+                var advances = {};
+
+                function countAdvances(app, name) {
+                    var addOperation = app.addOperation;
+                    advances[name] = 0;
+                    app.addOperation = function(op) {
+                        if (op.kind === 'advance') {
+                            advances[name] += 1;
+                        }
+                        return addOperation.call(app, op);
+                    };
+                }
+
+                leader.authenticate("demo", "demoToken").then(function() {
+                    follower = csync(options);
+                    return follower.authenticate("demo", "demoToken");
+                }).then(function() {
+                    countAdvances(leader, 'leader');
+                    countAdvances(follower, 'follower');
+                    follower.key("tabs.*").listen(_.noop);
+                    return when().delay(100);
+                }).then(function() {
+                    expect(advances.follower).to.be.equal(0);
+                    expect(advances.leader).to.be.above(0);
+                    return leader.close();
+                }).then(function() {
+                    return when().delay(200);
+                }).then(function() {
+                    expect(follower.transport.isLeader()).to.be.equal(true);
+                    expect(server.loopback.sessions.length).to.be.equal(1);
+                    expect(server.loopback.sessions[0].subs).to.deep.equal([["tabs", "*"]]);
+                    expect(advances.follower).to.be.above(0);
+                    return follower.close();
+                }).then(function() {
+                    server.close();
+                    done();
+                }).catch(done);
+            });
+        });
+    });
+
+    describe('Storage Unit Tests', function() {
+        var record = { path: ["a", "b"], data: '{"x":1}', deletePath: false,
+                       acl: "$publicRead", creator: "someone", cts: 100, vts: 7 };
+
+        it('should persist the cache to a file', function(done) {
+
+            var path = require('path').join(require('os').tmpdir(), 'csync-unit-' + uuid.v4() + '.json');
+            var store = new csync.storage.FileStorage(path);
+
+            store.setValue("a.b", record);
+            store.setRvts("*.a.#", 7, function(error) {
+                expect(error).to.be.a('null');
+
+                new csync.storage.FileStorage(path).load(function(error, state) {
+                    expect(error).to.be.a('null');
+                    expect(state.values).to.deep.equal([record]);
+                    expect(state.rvts).to.deep.equal({ "*.a.#": 7 });
+                    require('fs').unlinkSync(path);
+                    done();
+                });
+            });
+        });
+
+        it('should write the file once at a time when changes are saved on later ticks', function(done) {
+
+            var path = require('path').join(require('os').tmpdir(), 'csync-unit-' + uuid.v4() + '.json');
+            var store = new csync.storage.FileStorage(path);
+            var errors = [];
+            var count = 0;
+
+            (function next() {
+                store.setValue("a." + count, record, function(error) {
+                    if (error) {
+                        errors.push(error);
+                    }
+                });
+                count += 1;
+                if (count < 100) {
+                    return setImmediate(next);
+                }
+                store.setRvts("*.a.*", 7, function() {
+                    new csync.storage.FileStorage(path).load(function(error, state) {
+                        expect(errors).to.deep.equal([]);
+                        expect(state.values.length).to.be.equal(100);
+                        require('fs').unlinkSync(path);
+                        done();
+                    });
+                });
+            })();
+        });
+
+        it('should deliver cached values and resume advance from the cached rvts', function(done) {
+
+            var store = new csync.storage.MemoryStorage();
+            store.setValue("a.b", record);
+            store.setRvts("*.a.*", 7);
+
+            var app = csync({ host: host, port: port, useSSL: ssl, storage: store });
+            var listenKey = app.key("a.*");
+            listenKey.listen(function(error, value) {
+                expect(error).to.be.a('null');
+                expect(value.key).to.be.equal("a.b");
+                expect(value.data).to.deep.equal({x: 1});
+                expect(value.vts).to.be.equal(7);
+
+                app.cacheReady.then(function() {
+                    var advance = app.operationQueue.filter(function(op) { return op.kind === 'advance'; })[0];
+                    expect(advance.rvts).to.be.equal(7);
+                    done();
+                }).catch(done);
+            });
+        });
+
+        it('should clear the cache of another user after a restart', function() {
+
+            var store = new csync.storage.MemoryStorage();
+            var app = csync({ host: host, port: port, useSSL: ssl, storage: store });
+            app.setAuthData({ uid: "alice" });
+            store.setValue("a.b", record);
+            expect(store.state.meta.owner).to.be.equal("alice");
+
+            var restarted = csync({ host: host, port: port, useSSL: ssl, storage: store });
+            return restarted.cacheReady.then(function() {
+                expect(restarted.cacheOwner).to.be.equal("alice");
+                restarted.setAuthData({ uid: "bob" });
+                expect(restarted.memoryDB).to.deep.equal({});
+                expect(store.state.values).to.deep.equal({});
+                expect(store.state.meta.owner).to.be.equal("bob");
+            });
+        });
+    });
+
+    describe('Offline Write Queue Unit Tests', function() {
+
+        it('should persist pending writes until the server responds', function() {
+
+            var store = new csync.storage.MemoryStorage();
+            var app = csync({ host: host, port: port, useSSL: ssl, storage: store });
+
+            app.key("a.b").write({x: 1});
+            var op = app.operationQueue[0];
+            expect(store.state.writes[op.cts]).to.deep.equal(
+                { path: ["a", "b"], data: '{"x":1}', deletePath: false, aclid: undefined, cts: op.cts, uid: null });
+
+            app.removeOperation(op);
+            expect(store.state.writes).to.deep.equal({});
+        });
+
+        it('should replay persisted writes in cts order once their user authenticates', function(done) {
+
+            var store = new csync.storage.MemoryStorage();
+            store.addWrite(200, { path: ["a", "c"], deletePath: true, cts: 200, uid: "me" });
+            store.addWrite(150, { path: ["a", "d"], data: "theirs", deletePath: false, cts: 150, uid: "someone" });
+            store.addWrite(100, { path: ["a", "b"], data: "one", deletePath: false, aclid: "$publicRead", cts: 100 });
+
+            var app = csync({ host: host, port: port, useSSL: ssl, storage: store });
+            app.cacheReady.then(function() {
+                expect(app.operationQueue.filter(function(op) { return op.kind === 'pub'; })).to.deep.equal([]);
+                app.setAuthData({ uid: "me" });
+                expect(_.keys(store.state.writes)).to.deep.equal(["100", "200"]);
+
+                var pubs = app.operationQueue.filter(function(op) { return op.kind === 'pub'; });
+                expect(pubs.map(function(op) { return op.cts; })).to.deep.equal([100, 200]);
+                expect(pubs[0].keyObj.key).to.be.equal("a.b");
+                expect(pubs[0].request.payload).to.deep.equal(
+                    { path: ["a", "b"], deletePath: false, cts: 100, data: "one", assumeACL: "$publicRead" });
+                expect(pubs[1].request.payload).to.deep.equal({ path: ["a", "c"], deletePath: true, cts: 200 });
+                expect(app.nextCts()).to.be.above(200);
+                done();
+            }).catch(done);
+        });
+
+        it('should clear the cache and pending writes when the user changes or logs out', function() {
+
+            var store = new csync.storage.MemoryStorage();
+            var app = csync({ host: host, port: port, useSSL: ssl, storage: store });
+
+            app.setAuthData({ uid: "me" });
+            app.key("a.b").write("mine");
+            expect(store.state.writes[app.operationQueue[0].cts].uid).to.be.equal("me");
+
+            app.setAuthData({ uid: "someone" });
+            expect(store.state.writes).to.deep.equal({});
+            expect(app.memoryDB).to.deep.equal({});
+
+            app.key("a.c").write("theirs");
+            app.operationQueue.length = 0;
+            return app.unauth().then(function() {
+                expect(store.state.writes).to.deep.equal({});
+                expect(app.authData).to.be.a('null');
+            });
+        });
+    });
+
+    describe('Logger Unit Tests', function() {
+        it('should send structured records to the logger at the level set', function(done) {
+
+            var channel = require('../../lib/logger')('operation');
+            var flags = _.pick(channel, ['enableTrace', 'enableDebug', 'enableInfo', 'enableWarning', 'enableError']);
+            var records = [];
+            var app = csync({ host: host, port: port, useSSL: ssl, logger: function(record) { records.push(record); } });
+            var requests = fakeTransport(app, happy);
+            csync.setLogLevel('debug', 'operation');
+
+            app.key("log.a").write("hello").then(function() {
+                var started = _.find(records, { message: "Started pub operation" });
+                expect(started).to.deep.equal({ channel: 'operation', level: 'debug', message: "Started pub operation",
+                                                kind: 'pub', closure: requests[0].closure, key: "log.a" });
+
+                records.length = 0;
+                csync.setLogLevel('silent', 'operation');
+                return app.key("log.b").write("hello");
+            }).then(function() {
+                expect(_.filter(records, { channel: 'operation' })).to.deep.equal([]);
+                expect(function() { csync.setLogLevel('verbose'); }).to.throw(Error);
+            }).ensure(function() {
+                csync.setLogger(null);
+                _.assign(channel, flags);
+            }).then(function() {
+                done();
+            }, done);
+        });
+
+        it('should send the records about an App to its own logger at its own level', function() {
+
+            var quiet = [];
+            var verbose = [];
+            var quietApp = csync({ host: host, port: port, useSSL: ssl, logLevel: 'error',
+                                   logger: function(record) { quiet.push(record); } });
+            var verboseApp = csync({ host: host, port: port, useSSL: ssl, logLevel: 'debug',
+                                     logger: { debug: function(record) { verbose.push(record); } } });
+            fakeTransport(quietApp, happy);
+            fakeTransport(verboseApp, happy);
+
+            expect(function() { csync({ host: host, port: port, logLevel: 'verbose' }); }).to.throw(Error);
+
+            return when.all([quietApp.key("log.a").write("hello"), verboseApp.key("log.b").write("hello")]).then(function() {
+                expect(quiet).to.deep.equal([]);
+                expect(_.map(_.filter(verbose, { channel: 'operation' }), 'key')).to.include("log.b");
+                expect(_.map(verbose, 'key')).to.not.include("log.a");
+            });
+        });
+    });
+
+    describe('Metrics Unit Tests', function() {
+        it('should collect request metrics and report them to the hooks', function(done) {
+
+            var increments = [];
+            var app = csync({ host: host, port: port, useSSL: ssl, metrics: {
+                increment: function(name, value, tags) { increments.push([name, value, tags]); }
+            } });
+            fakeTransport(app, happy);
+
+            when.all([app.key("stats.a").write("1"), app.key("stats.b").write("2")]).then(function() {
+                var stats = app.stats();
+                expect(stats.counters['operations.sent{kind=pub}']).to.be.equal(2);
+                expect(stats.counters['operations.completed{kind=pub,outcome=ok}']).to.be.equal(2);
+                expect(stats.histograms['operations.latency{kind=pub}'].count).to.be.equal(2);
+                expect(stats.gauges['queue.depth']).to.be.equal(0);
+                expect(_.find(increments, { 0: 'operations.sent' })).to.deep.equal(['operations.sent', 1, { kind: 'pub' }]);
+                done();
+            }).catch(done);
+        });
+
+        it('should count retries and timeouts', function(done) {
+
+            var app = csync({ host: host, port: port, useSSL: ssl, retry: { timeout: 10, maxRetries: 1 } });
+            app.transport.connected = function() { return true; };
+            app.transport.send = function() {};
+
+            app.getAcls().then(function() {
+                done(new Error("getAcls succeeded when it should have timed out"));
+            }).catch(function() {
+                var counters = app.stats().counters;
+                expect(counters['operations.sent{kind=getAcls}']).to.be.equal(2);
+                expect(counters['operations.retries{kind=getAcls}']).to.be.equal(1);
+                expect(counters['operations.timeouts{kind=getAcls}']).to.be.equal(1);
+                expect(counters['operations.completed{kind=getAcls,outcome=error}']).to.be.equal(1);
+                done();
+            }).catch(done);
+        });
+
+        it('should count only requests sent while connected and survive failing hooks', function() {
+
+            var records = [];
+            var app = csync({ host: host, port: port, useSSL: ssl, logLevel: 'error', logger: function(record) { records.push(record); },
+                              metrics: { increment: function() { throw new Error("statsd is down"); } } });
+            var connected = false;
+            fakeTransport(app, happy);
+            var send = app.transport.send;
+            app.transport.connected = function() { return connected; };
+            app.transport.send = function(request, callback) {
+                if (connected) {
+                    send(request, callback);
+                }
+            };
+
+            var written = app.key("stats.c").write("3");
+            expect(app.stats().counters['operations.sent{kind=pub}']).to.be.an('undefined');
+
+            connected = true;
+            app.handleConnect();
+            return written.then(function() {
+                expect(app.stats().counters['operations.sent{kind=pub}']).to.be.equal(1);
+                expect(_.find(records, { channel: 'metrics', level: 'error' }).err.message).to.be.equal("statsd is down");
+            });
+        });
+    });
+
+    describe('Retry Policy Unit Tests', function() {
+
+        it('should fail a write with a timeout once its retries are exhausted', function() {
+
+            var store = new csync.storage.MemoryStorage();
+            var app = csync({ host: host, port: port, useSSL: ssl, storage: store });
+            var sent = 0;
+            app.transport.connected = function() { return true; };
+            app.transport.send = function() { sent += 1; };
+
+            var key = app.key("retry.a");
+            var seen = [];
+            key.listen(function(error, value) { seen.push(value); });
+
+            return key.write("lost", { timeout: 5, maxRetries: 2 }).then(function() {
+                throw new Error("write should have timed out");
+            }, function(error) {
+                expect(error.code).to.be.equal(csync.Timeout);
+                expect(_.filter(app.operationQueue, { kind: 'pub' }).length).to.be.equal(0);
+                expect(store.state.writes).to.deep.equal({});
+                // The local write is rolled back
+                expect(_.last(seen).exists).to.be.equal(false);
+                app.removeAllListeners();
+            });
+        });
+
+        it('should back off the timeout with the retry policy of the App', function() {
+
+            var app = csync({ host: host, port: port, useSSL: ssl, retry: { timeout: 5, maxRetries: 2, backoff: 3 } });
+            var times = [];
+            var start = Date.now();
+            app.transport.connected = function() { return true; };
+            app.transport.send = function() { times.push(Date.now() - start); };
+
+            return app.getAcls().then(function() {
+                throw new Error("getAcls should have timed out");
+            }, function(error) {
+                expect(error.code).to.be.equal(csync.Timeout);
+                expect(times.length).to.be.equal(3);
+                // Resent after 5ms and then after a further 15ms
+                expect(times[2] - times[1]).to.be.at.least(14);
+            });
+        });
+
+        it('should keep waiting without counting retries while disconnected', function(done) {
+
+            var app = csync({ host: host, port: port, useSSL: ssl, retry: { timeout: 5, maxRetries: 1 } });
+            var online = false;
+            var sent = 0;
+            app.transport.connected = function() { return online; };
+            app.transport.send = function(request, callback) {
+                sent += 1;
+                if (online) {
+                    callback(new Response(app, JSON.stringify({ version: 15, kind: 'happy', closure: request.closure,
+                                                                payload: { code: 0, msg: "OK" } })));
+                }
+            };
+
+            app.key("retry.b").write("offline").then(function() {
+                expect(sent).to.be.equal(2);
+                expect(app.stats().counters['operations.retries{kind=pub}']).to.be.equal(undefined);
+                done();
+            }).catch(done);
+
+            setTimeout(function() {
+                expect(app.operationQueue.length).to.be.equal(1);
+                online = true;
+                app.handleConnect();
+            }, 30);
+        });
+    });
+
+    describe('Abort Signal Unit Tests', function() {
+
+        it('should cancel a pending write when its signal is aborted', function() {
+
+            var store = new csync.storage.MemoryStorage();
+            var app = csync({ host: host, port: port, useSSL: ssl, storage: store });
+            app.transport.send = function(request, callback) {
+                app.transport.callbacks[request.closure] = callback;
+            };
+
+            var controller = new AbortController();
+            var key = app.key("abort.a");
+            var first = key.write("first", { signal: controller.signal });
+            var second = key.write("second", { signal: controller.signal });
+            expect(app.operationQueue.length).to.be.equal(2);
+
+            controller.abort();
+
+            return when.settle([first, second]).then(function(results) {
+                expect(_.map(results, 'reason.code')).to.deep.equal([csync.Aborted, csync.Aborted]);
+                expect(app.operationQueue.length).to.be.equal(0);
+                expect(app.transport.callbacks).to.deep.equal({});
+                expect(store.state.writes).to.deep.equal({});
+                expect(app.localWrites).to.deep.equal({});
+            });
+        });
+
+        it('should not send a request whose signal is already aborted', function() {
+
+            var app = csync(config);
+            var requests = fakeTransport(app, happy);
+            var controller = new AbortController();
+            controller.abort();
+
+            return app.key("abort.a").delete({ signal: controller.signal }).then(function() {
+                throw new Error("delete should have been aborted");
+            }, function(error) {
+                expect(error.code).to.be.equal(csync.Aborted);
+                expect(requests.length).to.be.equal(0);
+            });
+        });
+
+        it('should cancel a pending authentication', function() {
+
+            var app = csync(config);
+            app.transport.connect = function() {};
+            var controller = new AbortController();
+
+            var auth = app.authenticate("demo", "demoToken", { signal: controller.signal });
+            controller.abort();
+
+            return auth.then(function() {
+                throw new Error("authenticate should have been aborted");
+            }, function(error) {
+                expect(error.code).to.be.equal(csync.Aborted);
+                expect(app.transport.sessionId).to.be.a('null');
+                expect(app.connectionState).to.be.equal('disconnected');
+            });
+        });
+    });
+
+    describe('Local Write Unit Tests', function() {
+
+        function serverValue(key, data, cts, vts) {
+            var Value = require('../../lib/value');
+            return new Value({ path: key.split("."), data: JSON.stringify(data), acl: "$publicRead",
+                               creator: "someone", cts: cts, vts: vts });
+        }
+
+        it('should deliver local writes as unstable values until confirmed', function(done) {
+
+            var app = csync(config);
+            var testKey = app.key("a.b");
+
+            var received = [];
+            testKey.listen(function(error, value) {
+                expect(error).to.be.a('null');
+                received.push(value);
+                if (received.length === 1) {
+                    expect(value.stable).to.be.equal(false);
+                    expect(value.data).to.deep.equal({x: 1});
+
+                    // An older value from the server is hidden by the pending write
+                    app.deliverToListeners(serverValue("a.b", {x: 0}, value.cts - 1, 1));
+                    app.deliverToListeners(serverValue("a.b", {x: 1}, value.cts, 2));
+                } else {
+                    expect(value.stable).to.be.equal(true);
+                    expect(value.vts).to.be.equal(2);
+                    expect(value.data).to.deep.equal({x: 1});
+                    expect(app.localWrites).to.deep.equal({});
+                    done();
+                }
+            });
+
+            testKey.write({x: 1});
+        });
+
+        it('should roll back rejected local writes', function(done) {
+
+            var app = csync(config);
+            var testKey = app.key("a.b");
+            app.deliverToListeners(serverValue("a.b", {x: 0}, 1, 1));
+
+            var received = [];
+            testKey.listen(function(error, value) {
+                received.push(value);
+                if (received.length === 2) {
+                    expect(received[1].stable).to.be.equal(false);
+                    // Reject the write
+                    app.operationQueue.filter(function(op) { return op.kind === 'pub'; })[0].callback(new Error("rejected"));
+                } else if (received.length === 3) {
+                    expect(value.stable).to.be.equal(true);
+                    expect(value.data).to.deep.equal({x: 0});
+                    done();
+                }
+            });
+
+            testKey.write({x: 1}).catch(function(error) {
+                expect(error.message).to.be.equal("rejected");
+            });
+        });
+    });
+
+    describe('Write Pipelining Unit Tests', function() {
+
+        it('should send writes to different keys without waiting for their responses', function() {
+
+            var app = csync(config);
+            var pending = [];
+            app.transport.connected = function() { return true; };
+            app.transport.send = function(request, callback) {
+                pending.push({ request: request, callback: callback });
+            };
+
+            var keyA = app.key("many.a");
+            var results = when.settle([keyA.write({ n: 1 }), app.key("many.b").write("two"), keyA.write({ n: 2 })]);
+
+            // The second write with the same Key waits for the first
+            expect(_.map(pending, 'request.payload.path')).to.deep.equal([["many", "a"], ["many", "b"]]);
+
+            pending[0].callback(new Response(app, JSON.stringify({ version: 15, kind: 'happy', closure: pending[0].request.closure,
+                                                                   payload: { code: 3, msg: "Permission denied" } })));
+            pending[1].callback(new Response(app, JSON.stringify({ version: 15, kind: 'happy', closure: pending[1].request.closure,
+                                                                   payload: { code: 0, msg: "OK" } })));
+            expect(pending.length).to.be.equal(3);
+            pending[2].callback(new Response(app, JSON.stringify({ version: 15, kind: 'happy', closure: pending[2].request.closure,
+                                                                   payload: { code: 0, msg: "OK" } })));
+
+            return results.then(function(descriptors) {
+                expect(_.map(descriptors, 'state')).to.deep.equal(['rejected', 'fulfilled', 'fulfilled']);
+            });
+        });
+    });
+
+    describe('Conditional Write Unit Tests', function() {
+
+        it('should write only if the entry does not exist', function() {
+
+            var app = csync(config);
+            var requests = fakeTransport(app, storeServer());
+            app.transport.features = { conditionalWrites: true };
+            var key = app.key("stock.apples");
+
+            return key.write("10", { ifNotExists: true }).then(function() {
+                return key.write("20", { ifNotExists: true });
+            }).then(function() {
+                throw new Error("second write should have been rejected");
+            }, function(error) {
+                expect(error.code).to.be.equal(csync.Conflict);
+                expect(error.serverCode).to.be.equal(4);
+                expect(_.map(_.filter(requests, { kind: 'pub' }), 'payload.ifNotExists')).to.deep.equal([true, true]);
+            });
+        });
+
+        it('should write only if the entry has not changed since the given vts', function() {
+
+            var app = csync(config);
+            fakeTransport(app, storeServer());
+            app.transport.features = { conditionalWrites: true };
+            var key = app.key("stock.pears");
+            var seen;
+
+            return key.write("5").then(function() {
+                return key.read();
+            }).then(function(value) {
+                seen = value;
+                return key.write("4", { ifVts: seen.vts });
+            }).then(function() {
+                // The entry has moved on from the value seen
+                return key.write("3", { ifVts: seen.vts });
+            }).then(function() {
+                throw new Error("stale write should have been rejected");
+            }, function(error) {
+                expect(error.code).to.be.equal(csync.Conflict);
+                return key.read({ fromServer: true });
+            }).then(function(value) {
+                expect(value.data).to.be.equal(4);
+            });
+        });
+
+        it('should let only one of two racing apps create an entry', function() {
+
+            var server = new csync.loopback.LoopbackServer();
+            var first = csync({ transport: server.createTransport() });
+            var second = csync({ transport: server.createTransport() });
+
+            return when.all([first.authenticate("demo", "demoToken(1)"), second.authenticate("demo", "demoToken(2)")]).then(function() {
+                var options = { ifNotExists: true, acl: csync.acl.PublicRead };
+                return when.settle([first.key("stock.figs").write("1", options), second.key("stock.figs").write("2", options)]);
+            }).then(function(descriptors) {
+                expect(_.map(descriptors, 'state')).to.deep.equal(['fulfilled', 'rejected']);
+                expect(descriptors[1].reason.code).to.be.equal(csync.Conflict);
+                expect(server.entries["stock.figs"].data).to.be.equal("1");
+            });
+        });
+
+        it('should report other rejections of a conditional write as they are', function() {
+
+            var app = csync(config);
+            fakeTransport(app, function(request) {
+                if (request.kind === 'pub') {
+                    return { kind: 'happy', payload: { code: 3, msg: "Permission denied" } };
+                }
+                return storeServer()(request);
+            });
+            app.transport.features = { conditionalWrites: true };
+
+            return app.key("stock.plums").write("1", { ifNotExists: true }).then(function() {
+                throw new Error("write should have been rejected");
+            }, function(error) {
+                expect(error.code).to.be.equal(csync.RequestError);
+                expect(error.serverCode).to.be.equal(3);
+            });
+        });
+
+        it('should reject conditional writes when the service does not check conditions', function() {
+
+            var app = csync(config);
+            var requests = fakeTransport(app, storeServer());
+
+            return app.key("stock.apples").write("10", { ifNotExists: true }).then(function() {
+                throw new Error("write should have been rejected");
+            }, function(error) {
+                expect(error.code).to.be.equal(csync.InvalidRequest);
+                expect(_.filter(requests, { kind: 'pub' })).to.deep.equal([]);
+            });
+        });
+
+        it('should reject conditional writes to key patterns', function() {
+
+            var app = csync(config);
+            return app.key("stock.*").write("1", { ifNotExists: true }).then(function() {
+                throw new Error("write should have been rejected");
+            }, function(error) {
+                expect(error.code).to.be.equal(csync.InvalidRequest);
+            });
+        });
+    });
+
+    describe('Transaction Unit Tests', function() {
+
+        it('should retry concurrent transactions until each commits', function() {
+
+            var app = csync(config);
+            fakeTransport(app, storeServer());
+            app.transport.features = { conditionalWrites: true };
+            var counter = app.key("counters.visits");
+
+            function increment(n) { return (n || 0) + 1; }
+
+            return when.all([counter.transaction(increment), counter.transaction(increment), counter.transaction(increment)])
+            .then(function(results) {
+                expect(_.map(results, 'committed')).to.deep.equal([true, true, true]);
+                expect(_.map(results, 'data').sort()).to.deep.equal([1, 2, 3]);
+                return counter.read({ fromServer: true });
+            }).then(function(value) {
+                expect(value.data).to.be.equal(3);
+            });
+        });
+
+        it('should not write when the update function returns undefined', function() {
+
+            var app = csync(config);
+            var requests = fakeTransport(app, storeServer());
+            app.transport.features = { conditionalWrites: true };
+
+            return app.key("counters.visits").transaction(function() {}).then(function(result) {
+                expect(result).to.deep.equal({ committed: false, data: null });
+                expect(_.filter(requests, { kind: 'pub' }).length).to.be.equal(0);
+            });
+        });
+
+        it('should reject transactions when the service does not check conditions', function() {
+
+            var app = csync(config);
+            var requests = fakeTransport(app, storeServer());
+            var called = false;
+
+            return app.key("counters.visits").transaction(function() { called = true; }).then(function() {
+                throw new Error("transaction should have been rejected");
+            }, function(error) {
+                expect(error.code).to.be.equal(csync.InvalidRequest);
+                expect(called).to.be.equal(false);
+                expect(requests).to.deep.equal([]);
+            });
+        });
+
+        it('should fail with a conflict once the retries are exhausted', function() {
+
+            var app = csync(config);
+            var requests = fakeTransport(app, storeServer());
+            app.transport.features = { conditionalWrites: true };
+            var attempts = 0;
+
+            return app.key("counters.visits").transaction(function(n) {
+                attempts += 1;
+                // Another writer changes the entry every time
+                return app.key("counters.visits").write(String(attempts)).then(function() { return n + 1; });
+            }, { maxRetries: 2 }).then(function() {
+                throw new Error("transaction should have failed");
+            }, function(error) {
+                expect(error.code).to.be.equal(csync.Conflict);
+                expect(attempts).to.be.equal(3);
+                // The entry is fetched again after each conflict, but not confirmed with an extra read
+                expect(_.filter(requests, { kind: 'fetch' }).length).to.be.equal(2);
+            });
+        });
+    });
+
+    describe('Read Unit Tests', function() {
+
+        // A server holding values for a.b (vts 5) and a.c (vts 6)
+        function readServer(request) {
+            var entries = { 5: { path: ["a", "b"], data: '"b"', acl: "$publicRead", creator: "me", cts: 1, vts: 5 },
+                            6: { path: ["a", "c"], data: '"c"', acl: "$publicRead", creator: "me", cts: 2, vts: 6 } };
+            if (request.kind === 'advance') {
+                var vts = (request.payload.rvts < 6) ? [5, 6] : [];
+                return { kind: 'advanceResponse', payload: { vts: vts, maxvts: 6 } };
+            } else if (request.kind === 'fetch') {
+                return { kind: 'fetchResponse', payload: { response: request.payload.vts.map(function(vts) { return entries[vts]; }) } };
+            }
+            return happy(request);
+        }
+
+        it('should read a value from the server', function(done) {
+
+            var app = csync(config);
+            var requests = fakeTransport(app, readServer);
+
+            app.key("a.b").read().then(function(value) {
+                expect(value.key).to.be.equal("a.b");
+                expect(value.data).to.be.equal("b");
+                expect(requests.map(function(request) { return request.kind; })).to.deep.equal(['advance', 'advance', 'fetch']);
+                return app.key("a.x").read();
+            }).then(function(value) {
+                expect(value).to.be.a('null');
+                done();
+            }).catch(done);
+        });
+
+        it('should read the values matching a pattern', function(done) {
+
+            var app = csync(config);
+            fakeTransport(app, readServer);
+
+            app.key("a.*").read().then(function(values) {
+                expect(values.map(function(value) { return value.data; })).to.deep.equal(["b", "c"]);
+                done();
+            }).catch(done);
+        });
+
+        it('should read from the cache when a listener keeps it fresh', function(done) {
+
+            var app = csync(config);
+            var requests = fakeTransport(app, readServer);
+            var listenKey = app.key("a.*");
+            listenKey.listen(function() {});
+            app.rvtsDict['*.a.*'] = 6;
+            app.readFromServer(listenKey, function() {
+                var sent = requests.length;
+                app.key("a.c").read().then(function(value) {
+                    expect(value.data).to.be.equal("c");
+                    expect(requests.length).to.be.equal(sent);
+                    done();
+                }).catch(done);
+            });
+        });
+    });
+
+    describe('Multiple Listener Unit Tests', function() {
+        var Value = require('../../lib/value');
+
+        it('should deliver to each listener and unsubscribe them independently', function(done) {
+
+            var app = csync(config);
+            fakeTransport(app, happy);
+            app.deliverToListeners(new Value({ path: ["a", "b"], data: '"one"', cts: 1, vts: 1 }));
+
+            var listenKey = app.key("a.*");
+            var first = [];
+            var second = [];
+            var unsubscribeFirst = listenKey.listen(function(error, value) { first.push(value.data); });
+            var unsubscribeSecond = listenKey.listen(function(error, value) { second.push(value.data); });
+
+            expect(app.listeners.length).to.be.equal(1);
+
+            setTimeout(function() {
+                expect(first).to.deep.equal(["one"]);
+                expect(second).to.deep.equal(["one"]);
+
+                unsubscribeFirst();
+                expect(app.hasListener("a.*")).to.be.equal(true);
+                app.deliverToListeners(new Value({ path: ["a", "c"], data: '"two"', cts: 2, vts: 2 }));
+
+                setTimeout(function() {
+                    expect(first).to.deep.equal(["one"]);
+                    expect(second).to.deep.equal(["one", "two"]);
+
+                    unsubscribeSecond();
+                    expect(app.hasListener("a.*")).to.be.equal(false);
+                    done();
+                }, 0);
+            }, 0);
+        });
+    });
+
+    describe('Async Iterator and Observable Unit Tests', function() {
+        var Value = require('../../lib/value');
+
+        function entry(key, data, vts) {
+            return new Value({ path: key.split("."), data: JSON.stringify(data), cts: vts, vts: vts });
+        }
+
+        it('should iterate over values and unlisten when iteration ends', function(done) {
+
+            var app = csync(config);
+            fakeTransport(app, happy);
+            var listenKey = app.key("a.*");
+
+            var iterator = listenKey.values();
+            expect(iterator[Symbol.asyncIterator]()).to.be.equal(iterator);
+
+            app.deliverToListeners(entry("a.b", "one", 1));
+            app.deliverToListeners(entry("a.c", "two", 2));
+
+            iterator.next().then(function(result) {
+                expect(result).to.deep.equal({ value: app.memoryDB["a.b"], done: false });
+                return iterator.next();
+            }).then(function(result) {
+                expect(result.value.data).to.be.equal("two");
+                return iterator.return();
+            }).then(function(result) {
+                expect(result.done).to.be.equal(true);
+                expect(app.hasListener("a.*")).to.be.equal(false);
+                return iterator.next();
+            }).then(function(result) {
+                expect(result.done).to.be.equal(true);
+                done();
+            }).catch(done);
+        });
+
+        it('should throw the key error for an invalid key', function(done) {
+
+            var app = csync(config);
+            app.key("a..b").values().next().then(function() {
+                done(new Error("iterator succeeded when it should have failed"));
+            }).catch(function(error) {
+                expect(error.code).to.be.equal(csync.InvalidKey);
+                done();
+            });
+        });
+
+        it('should deliver values to observers until unsubscribed', function(done) {
+
+            var app = csync(config);
+            fakeTransport(app, happy);
+            var listenKey = app.key("a.*");
+
+            var observable = listenKey.observe();
+            expect(observable['@@observable']()).to.be.equal(observable);
+
+            var received = [];
+            var subscription = observable.subscribe({
+                next: function(value) {
+                    received.push(value.data);
+                    if (received.length === 1) {
+                        subscription.unsubscribe();
+                        expect(subscription.closed).to.be.equal(true);
+                        expect(app.hasListener("a.*")).to.be.equal(false);
+                        app.deliverToListeners(entry("a.c", "two", 2));
+                        setTimeout(function() {
+                            expect(received).to.deep.equal(["one"]);
+                            done();
+                        }, 0);
+                    }
+                }
+            });
+
+            app.deliverToListeners(entry("a.b", "one", 1));
+        });
+    });
+
+    describe('Query Unit Tests', function() {
+        var Value = require('../../lib/value');
+
+        function entry(key, data, vts) {
+            return new Value({ path: key.split("."), data: JSON.stringify(data), deletePath: (data === null), cts: vts, vts: vts });
+        }
+
+        it('should keep the results of a live query up to date', function(done) {
+
+            var app = csync(config);
+            fakeTransport(app, happy);
+            var calls = [];
+
+            var unsubscribe = app.query("scores.*").where("game", "==", "chess").orderBy("score", "desc").limit(2)
+                .listen(function(error, values) {
+                    expect(error).to.be.a('null');
+                    calls.push(_.map(values, 'key'));
+                });
+
+            app.deliverToListeners(entry("scores.a", { game: "chess", score: 10 }, 1));
+            app.deliverToListeners(entry("scores.b", { game: "chess", score: 30 }, 2));
+            app.deliverToListeners(entry("scores.c", { game: "go", score: 50 }, 3));
+            app.deliverToListeners(entry("scores.d", { game: "chess", score: 20 }, 4));
+
+            setTimeout(function() {
+                // A change beyond the limit does not change the results
+                app.deliverToListeners(entry("scores.a", { game: "chess", score: 5 }, 5));
+
+                setTimeout(function() {
+                    app.deliverToListeners(entry("scores.b", null, 6));
+
+                    setTimeout(function() {
+                        expect(calls).to.deep.equal([[], ["scores.b", "scores.d"], ["scores.d", "scores.a"]]);
+                        unsubscribe();
+                        expect(app.hasListener("scores.*")).to.be.equal(false);
+                        done();
+                    }, 0);
+                }, 0);
+            }, 0);
+        });
+
+        it('should order fields of different types by type, then by value', function() {
+
+            var app = csync(config);
+            var query = app.query("mixed.*").orderBy("score");
+            var scores = { a: "10", b: 9, c: null, d: true, e: [1, 2], f: { x: 1 }, g: "9", h: 10, i: [1], j: undefined };
+            var values = _.map(scores, function(score, key) {
+                return entry("mixed." + key, (score === undefined) ? {} : { score: score }, 1);
+            });
+
+            var expected = ["c", "d", "b", "h", "a", "g", "i", "e", "f", "j"];
+            _.forEach([values, values.slice().reverse(), _.sortBy(values, 'data.score')], function(order) {
+                var sorted = order.slice().sort(query.compare.bind(query));
+                expect(_.map(sorted, function(value) { return value.key.split(".")[1]; })).to.deep.equal(expected);
+            });
+        });
+
+        it('should read filtered, ordered and limited values', function(done) {
+
+            var app = csync({ transport: new csync.loopback.LoopbackServer().createTransport() });
+
+            app.authenticate("demo", "demoToken").then(function() {
+                return when.all([
+                    app.key("msgs.a").write({ text: "first", at: 3 }),
+                    app.key("msgs.b").write({ text: "second", at: 1 }),
+                    app.key("msgs.c").write({ text: "third", at: 2 })
+                ]);
+            }).then(function() {
+                return app.query("msgs.*").where("at", ">", 1).orderBy("at").read({ fromServer: true });
+            }).then(function(values) {
+                expect(_.map(values, 'data.text')).to.deep.equal(["third", "first"]);
+                expect(function() { app.query("msgs.*").where("at", "~", 1); }).to.throw(csync.errors.CSyncError);
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('Advance Scheduler Unit Tests', function() {
+        var Value = require('../../lib/value');
+
+        it('should back off while idle and reset when changes arrive', function() {
+
+            var app = csync({ host: host, port: port, useSSL: ssl, advance: { minDelay: 100, maxDelay: 400, multiplier: 2 } });
+            var keyObj = app.key("a.*");
+
+            var delays = [];
+            app.scheduler.loop(keyObj).scheduled = true;
+            app.scheduler.schedule = function(loop, delay) {
+                delays.push(delay);
+            };
+
+            for (var i = 0; i < 4; i++) {
+                app.scheduler.advanceComplete(keyObj, false);
+            }
+            app.scheduler.advanceComplete(keyObj, true);
+            app.scheduler.advanceComplete(keyObj, false);
+            app.scheduler.fetchComplete(keyObj);
+            app.scheduler.advanceComplete(keyObj, false);
+            expect(delays).to.deep.equal([100, 200, 400, 400, 100, 100, 0, 100]);
+
+            // Responses to requests in flight when the loop stopped do not bring it back
+            app.scheduler.stop(keyObj);
+            app.scheduler.advanceComplete(keyObj, true);
+            app.scheduler.fetchComplete(keyObj);
+            expect(app.scheduler.loops).to.deep.equal({});
+            expect(delays.length).to.be.equal(8);
+        });
+
+        it('should coalesce advances for patterns subsumed by a broader pattern', function(done) {
+
+            var app = csync({ host: host, port: port, useSSL: ssl, advance: { minDelay: 5, maxDelay: 5 } });
+            var requests = fakeTransport(app, happy);
+            function advancedPatterns() {
+                return _.uniq(requests.filter(function(request) { return request.kind === 'advance'; })
+                    .map(function(request) { return request.payload.pattern.join("."); }));
+            }
+
+            var broad = app.key("a.#");
+            broad.listen(function() {});
+            app.key("a.b.*").listen(function() {});
+            app.key("a.b.c").listen(function() {});
+
+            setTimeout(function() {
+                expect(advancedPatterns()).to.deep.equal(["a.#"]);
+
+                app.rvtsDict['*.a.#'] = 42;
+                broad.unlisten();
+                requests.length = 0;
+                setTimeout(function() {
+                    // a.b.* resumes from the rvts of a.# and covers a.b.c in turn
+                    expect(advancedPatterns()).to.deep.equal(["a.b.*"]);
+                    expect(requests[0].payload.rvts).to.be.equal(42);
+                    app.removeAllListeners();
+                    done();
+                }, 30);
+            }, 30);
+        });
+
+        it('should advance immediately when data is pushed', function(done) {
+
+            var app = csync({ host: host, port: port, useSSL: ssl, advance: { minDelay: 60000 } });
+            var requests = fakeTransport(app, happy);
+            function advances() {
+                return requests.filter(function(request) { return request.kind === 'advance'; }).length;
+            }
+
+            var listenKey = app.key("a.*");
+            listenKey.listen(function() {});
+
+            app.cacheReady.then(function() {
+                expect(advances()).to.be.equal(1);
+
+                app.handleData(new Value({ path: ["b", "c"], data: '"other"', cts: 1, vts: 1 }));
+                app.handleData(new Value({ path: ["a", "b"], data: '"data"', cts: 2, vts: 2 }));
+                setTimeout(function() {
+                    expect(advances()).to.be.equal(2);
+                    listenKey.unlisten();
+                    done();
+                }, 10);
+            }).catch(done);
+        });
+
+        it('should cancel the advance timers on the last unlisten and on unauth', function(done) {
+
+            var app = csync({ host: host, port: port, useSSL: ssl });
+            expect(app.scheduler.policy.minDelay).to.be.equal(5000);
+            fakeTransport(app, happy);
+
+            var first = app.key("a.*");
+            var unsubscribe = first.listen(function() {});
+            app.key("b.*").listen(function() {});
+
+            app.cacheReady.delay(10).then(function() {
+                expect(_.map(app.scheduler.loops, 'timer').every(_.identity)).to.be.equal(true);
+
+                unsubscribe();
+                expect(_.keys(app.scheduler.loops)).to.deep.equal(["*.b.*"]);
+
+                return app.unauth();
+            }).then(function() {
+                expect(app.scheduler.loops).to.deep.equal({});
+                done();
+            }).catch(done);
+        });
+    });
+
+    describe('Set ACL Unit Tests', function() {
+        var Value = require('../../lib/value');
+
+        function entry(key, creator, vts) {
+            return new Value({ path: key.split("."), data: '"data"', acl: "$private", creator: creator, cts: vts, vts: vts });
+        }
+
+        it('should write the data of the entry back with the new ACL if the entry is unchanged', function(done) {
+
+            var app = csync(config);
+            var requests = fakeTransport(app, storeServer());
+            app.transport.features = { conditionalWrites: true };
+
+            app.key("a.c").setAcl(csync.acl.PublicRead).then(function() {
+                done(new Error("setAcl succeeded for a key with no entry"));
+            }, function(error) {
+                expect(error.code).to.be.equal(csync.InvalidRequest);
+                expect(_.filter(requests, { kind: 'pub' })).to.deep.equal([]);
+                return app.key("a.b").write({ n: 1 });
+            }).then(function() {
+                return app.key("a.b").setAcl(csync.acl.PublicRead);
+            }).then(function(result) {
+                expect(result).to.be.equal("ok");
+                var pub = _.last(_.filter(requests, { kind: 'pub' }));
+                expect(pub.payload.assumeACL).to.be.equal("$publicRead");
+                expect(pub.payload.data).to.be.equal('{"n":1}');
+                expect(pub.payload.ifVts).to.be.equal(1);
+
+                app.transport.features = {};
+                return app.key("a.b").setAcl(csync.acl.PublicRead);
+            }).then(function() {
+                done(new Error("setAcl succeeded without conditional writes"));
+            }, function(error) {
+                expect(error.code).to.be.equal(csync.InvalidRequest);
+                done();
+            }).catch(done);
+        });
+
+        it('should reject ACL changes by a user who is not the creator', function(done) {
+
+            var app = csync(config);
+            var requests = fakeTransport(app, happy);
+            app.transport.features = { conditionalWrites: true };
+            app.authData = { uid: "me" };
+            app.deliverToListeners(entry("a.b", "someone-else", 1));
+
+            app.key("a.b").setAcl(csync.acl.PublicRead).then(function() {
+                done(new Error("setAcl succeeded when it should have failed"));
+            }).catch(function(error) {
+                expect(error.code).to.be.equal(csync.PermissionDenied);
+                expect(_.filter(requests, { kind: 'pub' })).to.deep.equal([]);
+                done();
+            });
+        });
+
+        it('should change the ACL of entries matching a pattern created by the user', function() {
+
+            var server = new csync.loopback.LoopbackServer();
+            var owner = csync({ transport: server.createTransport() });
+            var other = csync({ transport: server.createTransport() });
+
+            return when.all([owner.authenticate("demo", "demoToken(owner)"), other.authenticate("demo", "demoToken(other)")]).then(function() {
+                return when.all([owner.key("acl.b").write("b", { acl: csync.acl.PublicReadCreate }),
+                                 owner.key("acl.d").write("d", { acl: csync.acl.PublicReadCreate }),
+                                 other.key("acl.c").write("c", { acl: csync.acl.PublicReadCreate })]);
+            }).then(function() {
+                return owner.key("acl.*").setAcl(csync.acl.PublicRead);
+            }).then(function() {
+                expect(_.mapValues(server.entries, 'acl')).to.deep.equal(
+                    { "acl.b": "$publicRead", "acl.c": "$publicReadCreate", "acl.d": "$publicRead" });
+                expect(server.entries["acl.b"].data).to.be.equal("b");
+            });
+        });
+    });
+
     describe('Error Object Unit Tests', function() {
         it('should expose the public constants', function() {
             // Assert
@@ -60,6 +1721,46 @@ describe('CSync Unit Tests', function() {
             expect(csync.InvalidKey).to.be.equal(2);
             expect(csync.InvalidRequest).to.be.equal(3);
             expect(csync.RequestError).to.be.equal(4);
+            expect(csync.Conflict).to.be.equal(5);
+            expect(csync.Timeout).to.be.equal(6);
+            expect(csync.Aborted).to.be.equal(7);
+            expect(csync.PermissionDenied).to.be.equal(8);
+            expect(csync.AuthenticationFailed).to.be.equal(9);
+            expect(csync.ConnectionFailed).to.be.equal(10);
+        });
+
+        it('should construct errors of the class for their code', function() {
+
+            var error = csync.errors.create(csync.Timeout, "timed out", { kind: 'advance', key: "a.*" });
+            expect(error).to.be.an.instanceof(csync.errors.TimeoutError);
+            expect(error).to.be.an.instanceof(csync.errors.CSyncError);
+            expect(error).to.be.an.instanceof(Error);
+            expect(error.name).to.be.equal('TimeoutError');
+            expect(error.message).to.be.equal("timed out");
+            expect(error.serverCode).to.be.a('null');
+            expect(error.kind).to.be.equal('advance');
+            expect(error.key).to.be.equal("a.*");
+
+            error = csync.errors.create(csync.InvalidRequest, "bad request");
+            expect(error.constructor).to.be.equal(csync.errors.CSyncError);
+            expect(error.code).to.be.equal(csync.InvalidRequest);
+        });
+
+        it('should reject invalid keys and credentials with their error classes', function(done) {
+
+            var keyError = csync({ host: host, port: port }).key("a.b!").error();
+            expect(keyError).to.be.an.instanceof(csync.errors.InvalidKeyError);
+            expect(keyError.code).to.be.equal(csync.InvalidKey);
+            expect(keyError.serverCode).to.be.a('null');
+
+            var app = csync({ transport: new csync.loopback.LoopbackServer().createTransport() });
+            app.authenticate("demo", "wrongToken").then(function() {
+                done(new Error("authenticate succeeded when it should have failed"));
+            }).catch(function(error) {
+                expect(error).to.be.an.instanceof(csync.errors.AuthError);
+                expect(error.code).to.be.equal(csync.AuthenticationFailed);
+                done();
+            }).catch(done);
         });
     });
 
@@ -292,6 +1993,32 @@ describe('CSync Unit Tests', function() {
             expect(k16.key).to.be.equal("a.b.c.d.e.f.g.h.i.j.k.l.m.n.o.p");
         });
 
+        it('should give correct results for subsumes API', function() {
+
+            var app = csync(config);
+
+            function subsumes(pattern, other) {
+                return app.key(pattern).subsumes(app.key(other));
+            }
+
+            expect(subsumes("a.b", "a.b")).to.be.equal(true);
+            expect(subsumes("a.*", "a.b")).to.be.equal(true);
+            expect(subsumes("a.*", "a.*")).to.be.equal(true);
+            expect(subsumes("a.#", "a")).to.be.equal(true);
+            expect(subsumes("a.#", "a.b.*")).to.be.equal(true);
+            expect(subsumes("a.#", "a.*.#")).to.be.equal(true);
+            expect(subsumes("#", "")).to.be.equal(true);
+            expect(subsumes("*.b.#", "a.b.c.#")).to.be.equal(true);
+
+            expect(subsumes("a.b", "a.*")).to.be.equal(false);
+            expect(subsumes("a.*", "a")).to.be.equal(false);
+            expect(subsumes("a.*", "a.b.c")).to.be.equal(false);
+            expect(subsumes("a.*", "a.#")).to.be.equal(false);
+            expect(subsumes("a.*.#", "a.#")).to.be.equal(false);
+            expect(subsumes("a.b.#", "a.*.#")).to.be.equal(false);
+            expect(subsumes("a", "")).to.be.equal(false);
+        });
+
         it('should give correct results for matches API', function() {
 
             var app = csync(config);